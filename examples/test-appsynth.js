@@ -400,7 +400,10 @@ async function main() {
       if (hasError) {
         return { 
           shouldContinue: false, 
-          error: `Fatal error detected in ${toolCall.name}: ${result}` 
+          finalResult: {
+            success: false,
+            error: `Fatal error detected in ${toolCall.name}: ${result}`
+          }
         };
       }
       
@@ -8,10 +8,13 @@ import {
   Config,
   MCPServerConfig,
   ApprovalMode,
-  IdeClient
+  IdeClient,
+  type ConfigParameters
 } from '@google/gemini-cli-core';
 import type { ConfigurationBuilder, ConfigParams, ValidationResult } from '../types/interfaces.js';
-import type { TaskRequest } from '../types/types.js';
+import type { TaskRequest, McpServerRequest, AuthOptions } from '../types/types.js';
+
+const DEFAULT_MCP_SERVER_NAME = 'default-mcp-server';
 
 /**
  * Default configuration builder with optional MCP support
@@ -44,6 +47,22 @@ export class DefaultConfigurationBuilder implements ConfigurationBuilder {
       errors.push('maxTurns must be positive');
     }
 
+    if (config.auth) {
+      errors.push(...this.validateAuth(config.auth));
+    }
+
+    const approvalModes: string[] = Object.values(ApprovalMode);
+    if (config.approvalMode && !approvalModes.includes(config.approvalMode)) {
+      errors.push(`approvalMode must be one of ${approvalModes.join(', ')}`);
+    }
+
+    for (const [name, server] of Object.entries(config.mcpServers || {})) {
+      const transports = [server.url, server.httpUrl, server.command].filter(Boolean);
+      if (transports.length !== 1) {
+        errors.push(`MCP server "${name}" must set exactly one of url, httpUrl or command`);
+      }
+    }
+
     return {
       isValid: errors.length === 0,
       errors,
@@ -57,11 +76,83 @@ export class DefaultConfigurationBuilder implements ConfigurationBuilder {
       model: request.model || 'gemini-2.5-flash',
       maxTurns: request.maxTurns || 50,
       workingDirectory: request.workingDirectory || process.cwd(),
-      approvalMode: ApprovalMode.YOLO,
-      mcpServerConfig: this.buildMCPConfig(request)
+      approvalMode: (request.approvalMode as ApprovalMode | undefined) ?? ApprovalMode.YOLO,
+      mcpServerConfig: this.buildMCPConfig(request),
+      mcpServers: this.buildMCPServers(request),
+      auth: request.auth
     };
   }
 
+  /**
+   * Check that the credentials an auth type needs are given or in the environment
+   */
+  protected validateAuth(auth: AuthOptions): string[] {
+    const env = process.env;
+    switch (auth.type) {
+      case 'oauth-personal':
+      case 'cloud-shell':
+        return [];
+      case 'gemini-api-key':
+        return auth.apiKey || env.GEMINI_API_KEY
+          ? []
+          : ['auth type gemini-api-key requires auth.apiKey or the GEMINI_API_KEY environment variable'];
+      case 'vertex-ai': {
+        if (auth.apiKey || (!auth.project && !auth.location && env.GOOGLE_API_KEY)) {
+          return [];
+        }
+        const missing = [
+          !(auth.project || env.GOOGLE_CLOUD_PROJECT) && 'auth.project (or GOOGLE_CLOUD_PROJECT)',
+          !(auth.location || env.GOOGLE_CLOUD_LOCATION) && 'auth.location (or GOOGLE_CLOUD_LOCATION)'
+        ].filter(Boolean);
+        return missing.length > 0
+          ? [`auth type vertex-ai requires auth.apiKey (or GOOGLE_API_KEY) or a project and location; missing ${missing.join(' and ')}`]
+          : [];
+      }
+      default:
+        return [`Unsupported auth type: ${(auth as AuthOptions).type}`];
+    }
+  }
+
+  /**
+   * Collect all MCP servers of the request: the single-server shorthand fields
+   * plus every entry of request.mcpServers
+   */
+  protected buildMCPServers(request: TaskRequest): Record<string, MCPServerConfig> {
+    const servers: Record<string, MCPServerConfig> = {};
+
+    const shorthand = this.buildMCPConfig(request);
+    if (shorthand) {
+      servers[request.mcpServerName || DEFAULT_MCP_SERVER_NAME] = shorthand;
+    }
+
+    for (const [name, server] of Object.entries(request.mcpServers || {})) {
+      if (servers[name]) {
+        throw new Error(`MCP server "${name}" is defined both by mcpServerName and mcpServers`);
+      }
+      servers[name] = this.buildServerConfig(server, request.mcpTimeout);
+    }
+
+    return servers;
+  }
+
+  protected buildServerConfig(server: McpServerRequest, defaultTimeout?: number): MCPServerConfig {
+    return new MCPServerConfig(
+      server.command,
+      server.command ? server.args || [] : undefined,
+      server.env,
+      server.cwd,
+      server.url,
+      server.httpUrl,
+      server.headers,
+      undefined,
+      server.timeout || defaultTimeout || 60000,
+      server.trust ?? true,
+      server.description,
+      server.includeTools,
+      server.excludeTools
+    );
+  }
+
   protected buildMCPConfig(request: TaskRequest): MCPServerConfig | undefined {
     // Support SSE-based MCP servers
     if (request.mcpServerUrl) {
@@ -107,13 +198,22 @@ export class DefaultConfigurationBuilder implements ConfigurationBuilder {
     };
 
     // Only add MCP servers if configuration is provided
-    if (baseConfig.mcpServerConfig) {
-      const serverName = request.mcpServerName || 'default-mcp-server';
+    if (baseConfig.mcpServers && Object.keys(baseConfig.mcpServers).length > 0) {
+      configData.mcpServers = baseConfig.mcpServers;
+    } else if (baseConfig.mcpServerConfig) {
+      const serverName = request.mcpServerName || DEFAULT_MCP_SERVER_NAME;
       configData.mcpServers = {
         [serverName]: baseConfig.mcpServerConfig
       };
     }
 
-    return new Config(configData);
+    return this.createConfig(configData);
+  }
+
+  /**
+   * Instantiate the gemini-cli-core Config; override to use a Config subclass
+   */
+  protected createConfig(parameters: ConfigParameters): Config {
+    return new Config(parameters);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,13 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+export {
+  NextSpeakerContinuationPolicy,
+  NudgeContinuationPolicy,
+  StrategyContinuationPolicy,
+  FailContinuationPolicy
+} from './policies.js';
+export type { NudgeContinuationOptions } from './policies.js';
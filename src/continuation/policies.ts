@@ -0,0 +1,104 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Import checkNextSpeaker from internal path since it's not exported in public API
+import { checkNextSpeaker } from '@google/gemini-cli-core/dist/src/utils/nextSpeakerChecker.js';
+import type {
+  ContinuationPolicy,
+  ContinuationContext,
+  ContinuationDecision
+} from '../types/interfaces.js';
+
+/**
+ * Asks the model whether it meant to keep going, as Gemini CLI does, and
+ * sends "Please continue." if so. The engine's default.
+ */
+export class NextSpeakerContinuationPolicy implements ContinuationPolicy {
+  async decide(context: ContinuationContext): Promise<ContinuationDecision> {
+    const nextSpeaker = await checkNextSpeaker(context.chat, context.geminiClient, context.signal);
+    return nextSpeaker?.next_speaker === 'model'
+      ? { type: 'continue', message: 'Please continue.' }
+      : { type: 'fail' };
+  }
+}
+
+export interface NudgeContinuationOptions {
+  maxNudges?: number;  // Consecutive reminders before the task fails (default 3)
+  message?: string;    // Reminder text (default 'Please continue.')
+}
+
+/**
+ * Sends the same reminder each time the model stops, up to maxNudges times
+ * in a row
+ */
+export class NudgeContinuationPolicy implements ContinuationPolicy {
+  private maxNudges: number;
+  private message: string;
+
+  constructor(options: NudgeContinuationOptions = {}) {
+    this.maxNudges = options.maxNudges ?? 3;
+    this.message = options.message ?? 'Please continue.';
+  }
+
+  decide(context: ContinuationContext): ContinuationDecision {
+    if (context.attempt > this.maxNudges) {
+      return { type: 'fail', reason: `The model stopped ${context.attempt} times in a row without completing the task` };
+    }
+    return { type: 'continue', message: this.message };
+  }
+}
+
+/**
+ * Reminds the model of what is left: the strategy's getContinuationPrompt,
+ * or else the required workflow steps that have not completed yet
+ */
+export class StrategyContinuationPolicy implements ContinuationPolicy {
+  private maxNudges: number;
+
+  constructor(options: Omit<NudgeContinuationOptions, 'message'> = {}) {
+    this.maxNudges = options.maxNudges ?? 3;
+  }
+
+  decide(context: ContinuationContext): ContinuationDecision {
+    if (context.attempt > this.maxNudges) {
+      return { type: 'fail', reason: `The model stopped ${context.attempt} times in a row without completing the task` };
+    }
+
+    const prompt = context.strategy?.getContinuationPrompt?.(context);
+    if (prompt) {
+      return { type: 'continue', message: prompt };
+    }
+
+    const missing = this.getMissingSteps(context);
+    return {
+      type: 'continue',
+      message: missing.length > 0
+        ? `The task is not complete. These required steps have not been done yet: ${missing.join(', ')}. `
+          + `Continue with ${missing[0]}.`
+        : 'The task is not complete yet. Continue working on it.'
+    };
+  }
+
+  /**
+   * Required steps without a completed tool call of the same name, in
+   * workflow order; a progress tracker's completed steps take precedence
+   */
+  private getMissingSteps(context: ContinuationContext): string[] {
+    const steps = context.strategy?.getWorkflowSteps().filter(step => step.isRequired) ?? [];
+    const completed = new Set(context.progress.completedSteps
+      ?? context.toolCalls.filter(call => call.status === 'completed').map(call => call.name));
+    return steps.filter(step => !completed.has(step.name)).map(step => step.name);
+  }
+}
+
+/**
+ * Fails the task as soon as the model stops before completing it
+ */
+export class FailContinuationPolicy implements ContinuationPolicy {
+  decide(): ContinuationDecision {
+    return { type: 'fail' };
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { findIndexAfterFraction, getCompressionPrompt, tokenLimit, type GeminiChat } from '@google/gemini-cli-core';
+import type { Content, Part } from '@google/genai';
+import type { ContextCompressionOptions } from '../types/types.js';
+
+/**
+ * Keeps the history of a session within the model's context window:
+ * shortens old tool results and summarizes the older part of the history
+ * the way gemini-cli-core's chat compression does.
+ */
+export class ContextManager {
+  readonly tokenLimit: number;
+  private threshold: number;
+  private preserveFraction: number;
+  private maxToolResultChars: number;
+  private keepRecentToolResults: number;
+
+  constructor(model: string, options: ContextCompressionOptions = {}) {
+    this.tokenLimit = options.tokenLimit ?? tokenLimit(model);
+    this.threshold = options.threshold ?? 0.7;
+    this.preserveFraction = options.preserveFraction ?? 0.3;
+    this.maxToolResultChars = options.maxToolResultChars ?? 20_000;
+    this.keepRecentToolResults = options.keepRecentToolResults ?? 2;
+  }
+
+  needsSummary(tokenCount: number): boolean {
+    return tokenCount >= this.threshold * this.tokenLimit;
+  }
+
+  /**
+   * Shorten long tool results, except those of the most recent tool turns.
+   * Returns undefined when nothing was truncated.
+   */
+  truncateToolResults(history: Content[]): { history: Content[]; truncated: number } | undefined {
+    let truncated = 0;
+    let recentToolTurns = 0;
+    const result = [...history];
+
+    for (let index = result.length - 1; index >= 0; index--) {
+      const content = result[index];
+      if (!isFunctionResponse(content)) {
+        continue;
+      }
+      if (++recentToolTurns <= this.keepRecentToolResults) {
+        continue;
+      }
+
+      const parts = content.parts!.map(part => {
+        const shortened = this.truncatePart(part, 'this earlier tool result were removed to save context');
+        if (shortened !== part) {
+          truncated++;
+        }
+        return shortened;
+      });
+      result[index] = { ...content, parts };
+    }
+
+    return truncated > 0 ? { history: result, truncated } : undefined;
+  }
+
+  /**
+   * Shorten long tool results in the message about to be sent, for when that
+   * message alone overflows the context window. Returns undefined when
+   * nothing was truncated.
+   */
+  truncatePendingToolResults(parts: Part[]): { parts: Part[]; truncated: number } | undefined {
+    let truncated = 0;
+    const result = parts.map(part => {
+      const shortened = this.truncatePart(part, 'this tool result were removed because it did not fit the context window');
+      if (shortened !== part) {
+        truncated++;
+      }
+      return shortened;
+    });
+    return truncated > 0 ? { parts: result, truncated } : undefined;
+  }
+
+  /**
+   * Replace the older part of the chat history with a model-written summary.
+   * Returns false when there is nothing to summarize.
+   */
+  async summarize(chat: GeminiChat, promptId: string, signal: AbortSignal): Promise<boolean> {
+    const history = chat.getHistory(true);
+    let splitIndex = findIndexAfterFraction(history, 1 - this.preserveFraction);
+    // Keep whole turns: start the kept part at a user message
+    while (splitIndex < history.length
+      && (history[splitIndex].role === 'model' || isFunctionResponse(history[splitIndex]))) {
+      splitIndex++;
+    }
+    if (splitIndex === 0) {
+      return false;
+    }
+
+    chat.setHistory(history.slice(0, splitIndex));
+    let summary: string | undefined;
+    try {
+      const response = await chat.sendMessage({
+        message: { text: 'First, reason in your scratchpad. Then, generate the <state_snapshot>.' },
+        config: { systemInstruction: { text: getCompressionPrompt() }, abortSignal: signal }
+      }, promptId);
+      summary = response.text;
+    } finally {
+      if (!summary) {
+        chat.setHistory(history);
+      }
+    }
+    if (!summary) {
+      return false;
+    }
+
+    chat.setHistory([
+      { role: 'user', parts: [{ text: summary }] },
+      { role: 'model', parts: [{ text: 'Got it. Thanks for the additional context!' }] },
+      ...history.slice(splitIndex)
+    ]);
+    return true;
+  }
+
+  private truncatePart(part: Part, note: string): Part {
+    const response = part.functionResponse?.response;
+    if (!response || response.truncated === true) {
+      return part;
+    }
+    const output = typeof response.output === 'string' ? response.output : JSON.stringify(response);
+    if (output.length <= this.maxToolResultChars) {
+      return part;
+    }
+
+    const omitted = output.length - this.maxToolResultChars;
+    return {
+      ...part,
+      functionResponse: {
+        ...part.functionResponse,
+        response: {
+          output: `${output.slice(0, this.maxToolResultChars)}\n[... ${omitted} characters of ${note}]`,
+          truncated: true
+        }
+      }
+    };
+  }
+}
+
+function isFunctionResponse(content: Content): boolean {
+  return content.role === 'user'
+    && !!content.parts?.length
+    && content.parts.every(part => !!part.functionResponse);
+}
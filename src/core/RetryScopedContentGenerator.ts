@@ -0,0 +1,84 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import type { ContentGenerator } from '@google/gemini-cli-core';
+
+/**
+ * A failed model request, carrying the original error. Its message matches
+ * none of gemini-cli-core's retry patterns, so the core gives up at once.
+ */
+export class ModelRequestError extends Error {
+  readonly original: unknown;
+
+  constructor(original: unknown) {
+    super('Model request failed');
+    this.name = 'ModelRequestError';
+    this.original = original;
+  }
+
+  static unwrap(error: unknown): unknown {
+    return error instanceof ModelRequestError ? error.original : error;
+  }
+}
+
+/**
+ * Content generator for a single chat that hands request errors back to the
+ * engine instead of letting GeminiChat's retryWithBackoff retry them. The
+ * core treats any /5\d{2}/ in a message as a server error, which also matches
+ * token counts in 400 context-length errors.
+ */
+export class RetryScopedContentGenerator implements ContentGenerator {
+  private inner: ContentGenerator;
+
+  constructor(inner: ContentGenerator) {
+    this.inner = inner;
+  }
+
+  get userTier() {
+    return this.inner.userTier;
+  }
+
+  async generateContent(
+    ...args: Parameters<ContentGenerator['generateContent']>
+  ): ReturnType<ContentGenerator['generateContent']> {
+    try {
+      return await this.inner.generateContent(...args);
+    } catch (error) {
+      throw new ModelRequestError(error);
+    }
+  }
+
+  async generateContentStream(
+    ...args: Parameters<ContentGenerator['generateContentStream']>
+  ): ReturnType<ContentGenerator['generateContentStream']> {
+    try {
+      return await this.inner.generateContentStream(...args);
+    } catch (error) {
+      throw new ModelRequestError(error);
+    }
+  }
+
+  countTokens(...args: Parameters<ContentGenerator['countTokens']>): ReturnType<ContentGenerator['countTokens']> {
+    return this.inner.countTokens(...args);
+  }
+
+  embedContent(...args: Parameters<ContentGenerator['embedContent']>): ReturnType<ContentGenerator['embedContent']> {
+    return this.inner.embedContent(...args);
+  }
+
+  /**
+   * Swap the generator of one chat; returns a function that restores the original
+   */
+  static install(chat: object): () => void {
+    // GeminiChat keeps its generator private and exposes no hook for retry rules
+    const target = chat as { contentGenerator: ContentGenerator };
+    const original = target.contentGenerator;
+    target.contentGenerator = new RetryScopedContentGenerator(original);
+    return () => {
+      target.contentGenerator = original;
+    };
+  }
+}
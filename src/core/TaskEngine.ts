@@ -6,221 +6,280 @@
 
 import {
   Config,
+  GeminiChat,
+  GeminiClient,
   ToolCallRequestInfo,
+  ToolCallResponseInfo,
   executeToolCall,
   ToolRegistry,
   ApprovalMode,
   AuthType,
   shutdownTelemetry,
-  isTelemetrySdkInitialized
+  isTelemetrySdkInitialized,
+  DiscoveredMCPTool,
+  getMCPServerStatus,
+  addMCPStatusChangeListener,
+  removeMCPStatusChangeListener,
+  SchemaValidator
 } from '@google/gemini-cli-core';
-// Import checkNextSpeaker from internal path since it's not exported in public API
-import { checkNextSpeaker } from '@google/gemini-cli-core/dist/src/utils/nextSpeakerChecker.js';
+import { GenerateContentResponse } from '@google/genai';
 import type {
   Content,
   FunctionCall,
-  GenerateContentResponse,
+  FunctionDeclaration,
   Part,
 } from '@google/genai';
-import { TaskRequest, TaskStatus, TaskResult, TaskEngineOptions, ThoughtSummary } from '../types/types.js';
-import type { TaskStrategy, ConfigurationBuilder, PromptStrategy } from '../types/interfaces.js';
+import {
+  TaskRequest,
+  TaskStatus,
+  TaskResult,
+  TaskEngineOptions,
+  ThoughtSummary,
+  ModelPricing,
+  ContextCompression,
+  ToolOutputPolicy,
+  ToolArtifact,
+  ContextCompressionOptions,
+  AuthOptions,
+  ApprovalModeName,
+  ToolApprovalHandler,
+  ToolApprovalDecision,
+  TaskEvent,
+  TaskEventType,
+  TaskExecution
+} from '../types/types.js';
+import type {
+  TaskStrategy,
+  ConfigurationBuilder,
+  PromptStrategy,
+  SessionStore,
+  TaskCheckpoint,
+  TaskProcessingResult,
+  ProgressTracker,
+  ErrorHandlingStrategy,
+  Logger,
+  ErrorContext,
+  RecoveryAction,
+  CompletionVerification,
+  ContinuationPolicy,
+  ContinuationDecision
+} from '../types/interfaces.js';
 import { DefaultConfigurationBuilder, SimplePromptBuilder } from '../builders/index.js';
+import { DefaultErrorHandlingStrategy } from '../errors/index.js';
+import { NextSpeakerContinuationPolicy } from '../continuation/index.js';
+import { silentLogger } from '../logging/index.js';
+import { TaskSession } from './TaskSession.js';
+import { UsageTracker } from './UsageTracker.js';
+import { ContextManager } from './ContextManager.js';
+import { ToolOutputLimiter, TOOL_OUTPUT_DIRECTORY, type LimitedToolOutput } from './ToolOutputLimiter.js';
+import { TimeoutController } from './TimeoutController.js';
+import { TaskEventChannel } from './TaskEventChannel.js';
+import { RetryScopedContentGenerator, ModelRequestError } from './RetryScopedContentGenerator.js';
+import { TraceRecorder, TracingContentGenerator, traceFilePath } from '../tracing/index.js';
+import { EventEmitter } from 'node:events';
+import path from 'path';
+
+/**
+ * One model response, read to the end of its stream
+ */
+interface TurnOutput {
+  text: string;                             // Accumulated response text
+  functionCalls: FunctionCall[];
+  usage?: GenerateContentResponse['usageMetadata'];
+}
+
+/**
+ * Result of one tool call within a turn
+ */
+interface ToolCallOutcome {
+  parts: Part[];                            // Response parts to send back to the model
+  fatal?: { reason: string; message: string }; // Set when the error handler terminates the task
+  strategyStop?: Partial<TaskResult>;       // Set when the strategy ends the task after this result
+}
 
-export class TaskEngine {
-  private config!: Config;
-  private currentStatus!: TaskStatus;
-  private statusCallback: (status: TaskStatus) => void;
+// Function the model calls to hand in the result of a task with a resultSchema
+const SUBMIT_RESULT_TOOL = 'submit_result';
+const MAX_RESULT_REMINDERS = 2;
+
+// Typed listeners for the events emitted under their own type and as 'event'
+export interface TaskEngine {
+  on<K extends TaskEventType>(eventName: K, listener: (event: Extract<TaskEvent, { type: K }>) => void): this;
+  on(eventName: 'event', listener: (event: TaskEvent) => void): this;
+  once<K extends TaskEventType>(eventName: K, listener: (event: Extract<TaskEvent, { type: K }>) => void): this;
+  once(eventName: 'event', listener: (event: TaskEvent) => void): this;
+  off<K extends TaskEventType>(eventName: K, listener: (event: Extract<TaskEvent, { type: K }>) => void): this;
+  off(eventName: 'event', listener: (event: TaskEvent) => void): this;
+}
+
+export class TaskEngine extends EventEmitter {
+  private sessions = new Map<string, TaskSession>();
+  private statusCallback?: (status: TaskStatus) => void;
   private configBuilder: ConfigurationBuilder;
   private promptBuilder: SimplePromptBuilder;
   private strategy?: TaskStrategy;
+  private sessionStore?: SessionStore;
+  private advertiseOnlyValidTools: boolean;
+  private progressTrackerFactory?: (request: TaskRequest) => ProgressTracker;
+  private errorHandler: ErrorHandlingStrategy;
+  private pricing?: Record<string, ModelPricing>;
+  private maxParallelToolCalls: number;
+  private logger: Logger;
+  private auth?: AuthOptions;
+  private approvalMode?: ApprovalModeName;
+  private onToolApproval?: ToolApprovalHandler;
+  private traceDirectory?: string;
+  private contextCompression?: ContextCompressionOptions | boolean;
+  private toolOutputPolicy?: ToolOutputPolicy;
+  private continuationPolicy: ContinuationPolicy;
+
+  private disposed = false;
 
-  private startTime = 0;
-  private sessionTurnCount = 0;
   private readonly MAX_TURNS = 200; // Hard limit increased for complex tasks
 
   constructor(options: TaskEngineOptions) {
+    super();
     this.statusCallback = options.onStatusUpdate;
     this.configBuilder = options.configBuilder || new DefaultConfigurationBuilder();
     this.promptBuilder = new SimplePromptBuilder(options.promptStrategy);
     this.strategy = options.strategy;
-    
-    // Fix Gemini CLI retry logic bug
-    this.fixGeminiCliRetryBug();
+    this.sessionStore = options.sessionStore;
+    this.advertiseOnlyValidTools = options.advertiseOnlyValidTools ?? false;
+    this.progressTrackerFactory = options.progressTracker;
+    this.errorHandler = options.errorHandler || new DefaultErrorHandlingStrategy(this.strategy);
+    this.pricing = options.pricing;
+    this.maxParallelToolCalls = Math.max(1, options.maxParallelToolCalls ?? 1);
+    this.logger = options.logger || silentLogger;
+    this.auth = options.auth;
+    this.approvalMode = options.approvalMode;
+    this.onToolApproval = options.onToolApproval;
+    this.traceDirectory = options.traceDirectory;
+    this.contextCompression = options.contextCompression;
+    this.toolOutputPolicy = options.toolOutputPolicy;
+    this.continuationPolicy = options.continuationPolicy || new NextSpeakerContinuationPolicy();
   }
+
   
   /**
-   * Fix the Gemini CLI retry bug where /5\d{2}/ regex incorrectly matches token counts
-   * This monkey-patch ensures only actual HTTP 5xx status codes trigger retries
+   * Execute a task in its own session. Several tasks may run concurrently as
+   * long as their sessionIds differ; reusing the id of a running task throws.
+   * The returned promise can also be iterated with for-await for TaskEvents.
    */
-  private fixGeminiCliRetryBug(): void {
-    // Since direct module patching is blocked, let's use a different approach
-    // We'll monkey-patch the String.prototype.match method temporarily when needed
-    console.warn('Applying Gemini CLI retry bug workaround via console interception');
-    this.setupConsoleInterception();
-    
-    // Also try to patch the global String match method more carefully
-    try {
-      const originalStringMatch = String.prototype.match;
-      
-      (String.prototype as any).match = function(regexp: RegExp | string): RegExpMatchArray | null {
-        // If this is the problematic regex and we're in a retry context
-        if (regexp instanceof RegExp && regexp.source === '5\\d{2}') {
-          const stack = new Error().stack;
-          if (stack && (stack.includes('shouldRetry') || stack.includes('retryWithBackoff') || stack.includes('defaultShouldRetry'))) {
-            // For the problematic pattern, use a more precise match
-            if (this.includes('token count') && this.includes('400')) {
-              // This is a token limit error, don't match as 5xx
-              return null;
-            }
-            // Use word boundary version of the regex to avoid matching token counts
-            return originalStringMatch.call(this, /\b5[0-9]{2}\b/);
-          }
-        }
-        
-        return originalStringMatch.call(this, regexp as any);
-      };
-      
-      console.log('Applied String.prototype.match patch for retry bug fix');
-    } catch (error) {
-      console.warn('Failed to patch String.prototype.match, relying on console interception only');
-    }
+  executeTask(request: TaskRequest): TaskExecution {
+    const channel = new TaskEventChannel();
+    return channel.attach(this.startSession(request, channel));
   }
-  
-  private setupConsoleInterception(): void {
-    const originalError = console.error;
-    const originalWarn = console.warn;
-    
-    console.error = (...args: any[]) => {
-      const message = args[0];
-      if (typeof message === 'string' && 
-          message.includes('failed with 5xx error') && 
-          args[1] && 
-          typeof args[1] === 'object') {
-        
-        // Extract the actual error and check if it's really a 5xx error
-        const error = args[1];
-        const isActual5xx = this.isActual5xxError(error);
-        
-        if (!isActual5xx) {
-          // This is not a real 5xx error, format it properly
-          const cleanMessage = this.formatRetryErrorMessage(message, error);
-          originalWarn(cleanMessage); // Use warn instead of error for non-5xx
-          return;
-        }
-      }
-      
-      // Let real errors through
-      originalError(...args);
-    };
-    
-    console.warn = (...args: any[]) => {
-      const message = args[0];
-      if (typeof message === 'string' && 
-          message.includes('failed with') && 
-          args[1]) {
-        
-        // Format retry warnings consistently
-        const cleanMessage = this.formatRetryErrorMessage(message, args[1]);
-        originalWarn(cleanMessage);
-        return;
-      }
-      
-      originalWarn(...args);
-    };
+
+  /**
+   * Resume an interrupted session from its last checkpoint in the session store.
+   * The stored request is reused; `overrides` can replace fields that are not
+   * persisted (such as abortSignal) or adjust limits for the remaining run.
+   */
+  resumeTask(sessionId: string, overrides: Partial<TaskRequest> = {}): TaskExecution {
+    const channel = new TaskEventChannel();
+    return channel.attach(this.resumeSession(sessionId, overrides, channel));
   }
-  
-  private isActual5xxError(error: any): boolean {
-    // Check if it's actually a 5xx HTTP status code
-    if (error && typeof error === 'object') {
-      // Check status property
-      if (typeof error.status === 'number' && error.status >= 500 && error.status < 600) {
-        return true;
-      }
-      
-      // Check response.status property
-      if (error.response && typeof error.response.status === 'number' && 
-          error.response.status >= 500 && error.response.status < 600) {
-        return true;
-      }
-      
-      // Check for actual HTTP 5xx in error message (not token counts)
-      const message = error.message || error.toString();
-      // More precise regex: match HTTP status codes, not arbitrary numbers
-      if (message && message.match(/\b5[0-9]{2}\b/)) {
-        return true;
-      }
+
+  private async resumeSession(
+    sessionId: string,
+    overrides: Partial<TaskRequest>,
+    channel: TaskEventChannel
+  ): Promise<TaskResult> {
+    if (!this.sessionStore) {
+      throw new Error('resumeTask requires a sessionStore in TaskEngineOptions');
     }
-    
-    return false;
-  }
-  
-  private formatRetryErrorMessage(message: string, error: any): string {
-    try {
-      // Extract structured error information for clean display
-      let errorDetails: any = null;
-      
-      if (error && typeof error === 'object') {
-        // Try to extract JSON error
-        const errorStr = error.toString();
-        const jsonMatch = errorStr.match(/\[(\{.*?\})\]/);
-        if (jsonMatch) {
-          try {
-            const errorArray = JSON.parse(jsonMatch[1]);
-            if (errorArray && errorArray.error) {
-              errorDetails = errorArray.error;
-            }
-          } catch (e) {
-            // Fallback to direct parsing
-            const directMatch = errorStr.match(/\{[\s\S]*?"error"[\s\S]*?\}/);
-            if (directMatch) {
-              const parsed = JSON.parse(directMatch[0]);
-              if (parsed.error) {
-                errorDetails = parsed.error;
-              }
-            }
-          }
-        }
-      }
-      
-      if (errorDetails) {
-        const attemptMatch = message.match(/Attempt (\d+)/);
-        const attemptNum = attemptMatch ? attemptMatch[1] : '?';
-        
-        // Format like Gemini CLI but with correct error categorization
-        if (errorDetails.code === 400) {
-          return `⚠️  Attempt ${attemptNum}: ${errorDetails.message} (Code: ${errorDetails.code}) - Not retrying 400 errors`;
-        } else {
-          return `⚠️  Attempt ${attemptNum}: ${errorDetails.message} (Code: ${errorDetails.code}) - retrying...`;
-        }
-      }
-      
-      // Fallback to original message but cleaned up
-      return message.replace(/\s+GaxiosError:.*$/s, ''); // Remove verbose stack trace
-    } catch (e) {
-      return message; // If formatting fails, return original
+
+    const checkpoint = await this.sessionStore.load(sessionId);
+    if (!checkpoint) {
+      throw new Error(`No checkpoint found for session ${sessionId}`);
+    }
+    if (checkpoint.sessionState === 'completed') {
+      throw new Error(`Session ${sessionId} has already completed`);
     }
+
+    return this.startSession({ ...checkpoint.request, ...overrides, sessionId }, channel, checkpoint);
   }
 
-  async executeTask(request: TaskRequest): Promise<TaskResult> {
-    this.startTime = Date.now();
-    
-    // Initialize status
-    this.currentStatus = {
-      sessionId: request.sessionId,
-      sessionState: 'initializing',
-      progress: { currentTurn: 0, maxTurns: 50, percentage: 0 },
-      currentAction: { type: 'thinking', description: 'Initializing...' },
-      toolCalls: [],
-      timestamp: new Date().toISOString()
+  private async startSession(
+    taskRequest: TaskRequest,
+    channel: TaskEventChannel,
+    checkpoint?: TaskCheckpoint
+  ): Promise<TaskResult> {
+    if (this.disposed) {
+      throw new Error('TaskEngine has been disposed');
+    }
+    const request: TaskRequest = {
+      ...taskRequest,
+      auth: taskRequest.auth ?? this.auth,
+      approvalMode: taskRequest.approvalMode ?? this.approvalMode,
+      onToolApproval: taskRequest.onToolApproval ?? this.onToolApproval
     };
-    
-    this.updateStatus({});
+    const existing = this.sessions.get(request.sessionId);
+    if (existing?.isRunning()) {
+      throw new Error(`Session ${request.sessionId} is already running`);
+    }
+
+    const session = new TaskSession(request, this.statusCallback, event => {
+      channel.push(event);
+      this.emit(event.type, event);
+      this.emit('event', event);
+    }, this.logger, checkpoint);
+    session.progressTracker = this.progressTrackerFactory?.(request);
+    if (this.traceDirectory) {
+      session.trace = new TraceRecorder(
+        traceFilePath(this.traceDirectory, session.sessionId),
+        session.sessionId,
+        () => session.sessionTurnCount,
+        error => session.log('warn', 'Failed to write trace', { error: error.message })
+      );
+      session.trace.record({ type: 'session_started', request: session.persistableRequest(), resumed: checkpoint !== undefined });
+    }
+    this.sessions.set(request.sessionId, session);
+    session.updateStatus({});
+    session.emitEvent({ type: 'task_started', resumed: checkpoint !== undefined });
+
+    // Link the external signal so callers (job runners, timeouts) can cancel too
+    const onExternalAbort = () => session.abortController.abort();
+    if (request.abortSignal?.aborted) {
+      session.abortController.abort();
+    } else {
+      request.abortSignal?.addEventListener('abort', onExternalAbort, { once: true });
+    }
 
+    // The deadline aborts like a cancel but is reported as a timeout error
+    const deadline = request.timeout
+      ? setTimeout(() => {
+          session.timedOut = true;
+          session.abortController.abort();
+        }, request.timeout)
+      : undefined;
+
+    session.execution = this.runExecution(session);
+
+    try {
+      const result = await session.execution;
+      session.finish(result);
+      session.trace?.record({ type: 'session_finished', result });
+      session.emitEvent({ type: 'task_finished', result });
+      return result;
+    } finally {
+      await session.trace?.close();
+      clearTimeout(deadline);
+      request.abortSignal?.removeEventListener('abort', onExternalAbort);
+      session.execution = undefined;
+    }
+  }
+
+  private async runExecution(session: TaskSession): Promise<TaskResult> {
+    const request = session.request;
     try {
-      return await this.executeTaskInternal(request);
+      return await this.executeTaskInternal(session);
     } catch (error) {
+      if (session.signal.aborted) {
+        return this.buildCancelledResult(session);
+      }
+
       const errorMessage = error instanceof Error ? error.message : String(error);
-      this.updateStatus({
+      session.updateStatus({
         sessionState: 'error',
         finalResult: {
           success: false,
@@ -235,125 +294,246 @@ export class TaskEngine {
         error: errorMessage,
         executionSummary: 'Error occurred during execution',
         metadata: {
-          totalDuration: Date.now() - this.startTime,
-          turnCount: this.currentStatus.progress.currentTurn,
-          toolCallCount: this.currentStatus.toolCalls.length
+          totalDuration: session.elapsed(),
+          turnCount: session.status.progress.currentTurn,
+          toolCallCount: session.status.toolCalls.length,
+          usage: session.usage?.getSummary()
         }
       };
     }
   }
 
-  private async executeTaskInternal(request: TaskRequest): Promise<TaskResult> {
-    // Helper function to determine if a tool error is fatal
-    const isFatalToolError = (msg: string): boolean => {
-      if (this.strategy) {
-        const patterns = this.strategy.getFatalErrorPatterns();
-        return patterns.some(pattern => pattern.test(msg));
-      }
-      // Default patterns if no strategy
-      return /(ECONN|ETIMEDOUT|auth|permission|timeout|ECONNREFUSED)/i.test(msg);
-    };
+  private async executeTaskInternal(session: TaskSession): Promise<TaskResult> {
+    const { request, signal } = session;
 
     // 1. Build configuration using configBuilder
-    this.config = await this.configBuilder.buildConfiguration(request);
-    await this.config.initialize();
+    const config = await this.configBuilder.buildConfiguration(request);
+    session.config = config;
+    const pricing = UsageTracker.findPricing(this.pricing, config.getModel());
+    // Without a price the cost is never known, so the budget could not stop anything
+    if (request.maxCost !== undefined && !pricing) {
+      throw new Error(`maxCost requires a pricing entry for model ${config.getModel()} in TaskEngineOptions.pricing`);
+    }
+    session.usage = new UsageTracker(pricing, session.resumedFrom?.usage);
+    if (this.contextCompression) {
+      session.context = new ContextManager(
+        config.getModel(),
+        this.contextCompression === true ? {} : this.contextCompression
+      );
+      session.updateStatus({ context: { tokenLimit: session.context.tokenLimit, compressions: [] } });
+    }
+    await config.initialize();
+    const toolRegistry: ToolRegistry = await config.getToolRegistry();
+    this.trackMcpServers(session, config, toolRegistry);
+    if (signal.aborted) {
+      await this.cleanup(session, config, toolRegistry);
+      return this.buildCancelledResult(session);
+    }
     
     // 2. Initialize authentication and client
-    await this.config.refreshAuth(AuthType.LOGIN_WITH_GOOGLE);
-    const geminiClient = this.config.getGeminiClient();
-    const toolRegistry: ToolRegistry = await this.config.getToolRegistry();
+    try {
+      await this.refreshAuth(config, request.auth);
+    } catch (error) {
+      await this.cleanup(session, config, toolRegistry);
+      throw error;
+    }
+    const geminiClient = config.getGeminiClient();
     
-    this.updateStatus({
+    session.updateStatus({
       sessionState: 'running',
       currentAction: { type: 'thinking', description: 'Starting task execution...' }
     });
 
     // 3. Fully reuse main loop logic from nonInteractiveCli.ts
     const chat = await geminiClient.getChat();
-    const abortController = new AbortController();
-    const initialPrompt = await this.promptBuilder.buildPrompt(request, this.config);
-    let currentMessages: Content[] = [{ 
-      role: 'user', 
-      parts: [{ text: initialPrompt }] 
-    }];
+    // Model request errors are retried by the error handler, not by the core;
+    // the trace sits below the retry layer so it sees every attempt
+    const restoreTrace = session.trace
+      ? TracingContentGenerator.install(chat, geminiClient, session.trace)
+      : undefined;
+    const restoreRetry = RetryScopedContentGenerator.install(chat);
+    session.restoreChat = () => {
+      restoreRetry();
+      restoreTrace?.();
+    };
+    let currentMessages: Content[];
+    if (session.resumedFrom) {
+      // Replay the checkpointed conversation and pick up from the last completed turn
+      chat.setHistory(session.resumedFrom.history);
+      currentMessages = [{ role: 'user', parts: session.resumedFrom.pendingMessage }];
+    } else {
+      const initialPrompt = await this.promptBuilder.buildPrompt(request, config);
+      currentMessages = [{ 
+        role: 'user', 
+        parts: [{ text: initialPrompt }] 
+      }];
+    }
     
-    let turnCount = 0;
     let finalSuccess = true;
     let executionError: string | undefined;
+    // Per model request, so a stalled stream fails without cancelling the task
+    let turnTimeout: TimeoutController | undefined;
+    // Last point where the history and the pending message fit together. A
+    // task that ends mid-turn saves this, not a history ending in unanswered
+    // function calls.
+    let resumePoint = { history: chat.getHistory(), messages: currentMessages };
 
     try {
       taskLoop: while (true) {
-        turnCount++;
-        this.sessionTurnCount++;
+        if (signal.aborted) {
+          break taskLoop;
+        }
+
+        // The previous turn is complete and the next message is known
+        resumePoint = { history: chat.getHistory(), messages: currentMessages };
+        await this.saveCheckpoint(session, resumePoint.history, resumePoint.messages);
+
+        // Stop before spending more once the token or cost budget is used up
+        const budgetError = this.checkUsageBudget(session);
+        if (budgetError) {
+          executionError = budgetError;
+          finalSuccess = false;
+          session.updateStatus({
+            sessionState: 'error',
+            finalResult: {
+              success: false,
+              error: budgetError,
+              summary: 'Task stopped: usage budget exceeded'
+            }
+          });
+          break taskLoop;
+        }
+
+        session.turnCount++;
+        session.sessionTurnCount++;
+        session.emitEvent({ type: 'turn_started', turn: session.sessionTurnCount });
         
         // Use GeminiClient-style session management with both soft and hard limits
-        const maxSessionTurns = this.config.getMaxSessionTurns();
-        if (maxSessionTurns > 0 && this.sessionTurnCount > maxSessionTurns) {
+        const maxSessionTurns = config.getMaxSessionTurns();
+        if (maxSessionTurns > 0 && session.sessionTurnCount > maxSessionTurns) {
           executionError = 'Reached max session turns for this session.';
           finalSuccess = false;
           break taskLoop;
         }
         
         // Hard limit from GeminiClient to prevent infinite loops
-        if (turnCount > this.MAX_TURNS) {
+        if (session.turnCount > this.MAX_TURNS) {
           executionError = `Reached hard turn limit (${this.MAX_TURNS}).`;
           finalSuccess = false;
           break taskLoop;
         }
 
+        // Keep the history that is about to be sent within the context window
+        await this.manageContext(session, config, chat, geminiClient, 'threshold');
+
         // Status update - clear previous turn's llmStream to prevent content leakage
-        this.updateStatus({
-          currentAction: { type: 'thinking', description: `Turn ${this.sessionTurnCount} thinking...` },
-          progress: { 
-            currentTurn: this.sessionTurnCount, 
-            maxTurns: Math.min(this.config.getMaxSessionTurns() || 50, this.MAX_TURNS),
-            percentage: this.calculateProgress() 
-          },
-          llmStream: undefined  // Clear previous turn's stream content
+        session.updateStatus({
+          currentAction: { type: 'thinking', description: `Turn ${session.sessionTurnCount} thinking...` },
+          progress: this.buildProgress(session, {
+            currentTurn: session.sessionTurnCount, 
+            maxTurns: Math.min(config.getMaxSessionTurns() || 50, this.MAX_TURNS)
+          }),
+          llmStream: undefined,  // Clear previous turn's stream content
+          currentThought: undefined
         });
         
-        const functionCalls: FunctionCall[] = [];
-
-        let responseStream;
-        try {
-          responseStream = await chat.sendMessageStream(
-            {
-              message: currentMessages[0]?.parts || [], // Ensure parts are always provided
-              config: {
-                abortSignal: abortController.signal,
-                // Restore tools - they may be necessary for proper response formatting
-                tools: [
-                  { functionDeclarations: toolRegistry.getFunctionDeclarations() },
-                ],
-                // Allow internal thinking but hide thought output to prevent fragmented text
-                thinkingConfig: {
-                  includeThoughts: false    // Don't include thought summaries in response
-                  // Keep thinkingBudget at default - model can still think internally
+        // A failed or stalled request is retried as a whole; the history only
+        // records a response once its stream completed
+        let turn: TurnOutput | undefined;
+        const apiAttempts = new Map<string, number>();
+        let compressedForOverflow = false;
+        while (!turn) {
+          turnTimeout?.dispose();
+          turnTimeout = new TimeoutController(signal, request.streamIdleTimeout);
+          let streamStarted = false;
+          try {
+            const responseStream = await this.raceWithAbort(chat.sendMessageStream(
+              {
+                message: currentMessages[0]?.parts || [], // Ensure parts are always provided
+                config: {
+                  abortSignal: turnTimeout.signal,
+                  // Restore tools - they may be necessary for proper response formatting
+                  tools: [
+                    { functionDeclarations: this.getFunctionDeclarations(toolRegistry, request.resultSchema) },
+                  ],
+                  // Thought summaries arrive as separate parts and are kept out of the text
+                  thinkingConfig: {
+                    includeThoughts: request.includeThoughts ?? false
+                    // Keep thinkingBudget at default - model can still think internally
+                  },
                 },
               },
-            },
-            request.sessionId,
-          );
-        } catch (apiError) {
-          // Handle API-level errors (token limits, network issues, etc.)
-          const errorMessage = apiError instanceof Error ? apiError.message : String(apiError);
-          
-          // Check if this is a recoverable error that LLM can handle
-          if (this.isRecoverableError(errorMessage)) {
-            console.log(`Recoverable API error detected: ${errorMessage}`);
+              request.sessionId,
+            ), turnTimeout.signal);
+            streamStarted = true;
+            turn = await this.readTurn(session, responseStream, turnTimeout);
+          } catch (apiError) {
+            if (signal.aborted) {
+              break taskLoop;
+            }
+
+            // Handle API-level errors (token limits, network issues, etc.),
+            // including streams that fail or stall after the first chunk
+            const cause = ModelRequestError.unwrap(apiError);
+            const error = turnTimeout.timedOut && !streamStarted
+              ? new Error(`Model request timeout: no response within ${turnTimeout.timeout}ms`)
+              : cause instanceof Error ? cause : new Error(String(cause));
+
+            // Resending an overflowing history fails again, so compress it first,
+            // along with the message being sent in case that alone overflows
+            if (!compressedForOverflow && this.isContextLengthError(session, error)) {
+              compressedForOverflow = true;
+              const compressed = await this.manageContext(session, config, chat, geminiClient, 'context_length');
+              const pending = this.truncatePendingMessage(session, currentMessages);
+              if (pending) {
+                currentMessages = pending;
+              }
+              if (compressed || pending) {
+                continue;
+              }
+            }
+            const { action, attempt: apiAttempt } = this.resolveRecoveryAction(session, error, {
+              source: 'api',
+              toolName: '',
+              args: {},
+              turnCount: session.turnCount
+            }, apiAttempts);
+
+            if (action.type === 'retry') {
+              const delay = this.getRetryDelay(action, apiAttempt);
+              session.log('warn', 'Model request failed, retrying', { attempt: apiAttempt, delay, error: error.message });
+              session.emitEvent({ type: 'retry', source: 'api', attempt: apiAttempt, delay, error: error.message });
+              session.updateStatus({
+                currentAction: {
+                  type: 'retrying',
+                  description: `Turn ${session.sessionTurnCount} - model request failed, retry ${apiAttempt}`
+                    + `${action.maxRetries !== undefined ? `/${action.maxRetries}` : ''} in ${Math.ceil(delay / 1000)}s`
+                },
+                llmStream: undefined  // Discard the partial output of the failed attempt
+              });
+              await this.sleep(delay, signal);
+              continue;
+            }
+
+            if (action.type === 'terminate') {
+              // This is a fatal error - rethrow to be caught by outer try-catch
+              throw action.reason ? new Error(action.reason) : error;
+            }
+
+            session.log('warn', 'Recoverable model request error, reporting to the model', { error: error.message });
             
             // Create error message for LLM to process
-            const errorFeedback = this.formatErrorForLLM(errorMessage, turnCount);
+            const errorFeedback = action.feedbackMessage || `✕ [API Error: ${error.message}]`;
             currentMessages = [{
               role: 'user',
               parts: [{ text: errorFeedback }]
             }];
             
             // Update status to show error handling
-            this.updateStatus({
+            session.updateStatus({
               currentAction: { 
                 type: 'thinking', 
-                description: `Turn ${this.sessionTurnCount} - handling API error...` 
+                description: `Turn ${session.sessionTurnCount} - handling API error...` 
               },
               llmStream: {
                 partialText: errorFeedback,
@@ -362,417 +542,441 @@ export class TaskEngine {
             });
             
             // Continue to next iteration to let LLM handle the error
-            continue;
-          } else {
-            // This is a fatal error - rethrow to be caught by outer try-catch
-            throw apiError;
+            continue taskLoop;
           }
         }
 
-        let hasStreamContent = false;
-        let accumulatedText = '';
-        
-        for await (const resp of responseStream) {
-          if (abortController.signal.aborted) {
-            executionError = 'Operation cancelled.';
-            finalSuccess = false;
-            break taskLoop;
-          }          
-          
-          // Follow Gemini CLI pattern: validate response first
-          if (!this.isValidResponse(resp)) {
-            continue;
-          }
-          
-          // Accumulate text like CLI but send complete content
-          const textContent = this.getTextContent(resp);
-          if (textContent) {
-            hasStreamContent = true;
-            accumulatedText += textContent; // Accumulate text across responses
-            
-            // Send accumulated text for real-time display (but not marked complete yet)
-            this.updateStatus({
-              currentAction: { type: 'responding', description: `Turn ${this.sessionTurnCount} responding...` },
-              llmStream: { 
-                partialText: accumulatedText,  // Send complete accumulated text
-                isComplete: false
-              }
-            });
-          }
-          
-          if (resp.functionCalls) {
-            functionCalls.push(...resp.functionCalls);
-          }
+        if (signal.aborted) {
+          break taskLoop;
+        }
+        const { text: accumulatedText, functionCalls, usage: turnUsage } = turn;
+        const hasStreamContent = accumulatedText.length > 0;
+
+        turnTimeout?.dispose();
+        if (accumulatedText) {
+          session.emitEvent({ type: 'text_complete', turn: session.sessionTurnCount, text: accumulatedText });
+        }
+
+        if (turnUsage && session.usage) {
+          session.usage.addTurn(session.sessionTurnCount, turnUsage);
         }
 
         // Mark stream as completed with full accumulated text
-        this.updateStatus({
+        session.updateStatus({
+          usage: session.usage?.getSummary(),
+          context: session.status.context && {
+            ...session.status.context,
+            tokenCount: turnUsage
+              ? (turnUsage.promptTokenCount ?? 0) + (turnUsage.candidatesTokenCount ?? 0)
+              : undefined
+          },
           currentAction: { 
             type: functionCalls.length > 0 ? 'tool_executing' : 'responding', 
             description: functionCalls.length > 0 
-              ? `Turn ${this.sessionTurnCount} executing tools...`
-              : `Turn ${this.sessionTurnCount} completed`
+              ? `Turn ${session.sessionTurnCount} executing tools...`
+              : `Turn ${session.sessionTurnCount} completed`
           },
           llmStream: hasStreamContent ? {
             partialText: accumulatedText,  // Final complete text
             isComplete: true
-          } : undefined,
-          // Clear current thought when turn completes
-          currentThought: undefined
+          } : undefined
+          // currentThought stays until the next turn, so it explains the tool calls below
         });
 
         if (functionCalls.length > 0) {
-          const toolResponseParts: Part[] = [];
-
-          for (const fc of functionCalls) {
-            const callId = fc.id ?? `${fc.name}-${Date.now()}`;
-            const requestInfo: ToolCallRequestInfo = {
-              callId,
-              name: fc.name as string,
-              args: (fc.args ?? {}) as Record<string, unknown>,
-              isClientInitiated: false,
-              prompt_id: request.sessionId,
-            };
-
-            // Update tool call status
-            const toolStartTime = Date.now();
-            this.updateToolStatus(callId, {
-              name: fc.name as string,
-              args: fc.args ?? {},
-              status: 'executing',
-              startTime: toolStartTime
+          session.stalledTurns = 0;
+          const outcomes = await this.executeFunctionCalls(session, config, toolRegistry, functionCalls);
+          const toolResponseParts = outcomes.flatMap(outcome => outcome.parts);
+
+          // Check if a fatal tool error should terminate the task
+          const fatal = outcomes.find(outcome => outcome.fatal)?.fatal;
+          if (fatal) {
+            executionError = fatal.reason;
+            finalSuccess = false;
+            session.updateStatus({
+              sessionState: 'error',
+              finalResult: {
+                success: false,
+                error: fatal.message,
+                summary: 'Task failed due to fatal tool error'
+              }
+            });
+            break taskLoop;
+          }
+
+          // Set when the strategy asks to end the task after a tool result
+          const strategyStop = outcomes.find(outcome => outcome.strategyStop)?.strategyStop;
+
+          if (strategyStop) {
+            // Only an explicit finalResult.success ends the task successfully
+            finalSuccess = strategyStop.success === true;
+            executionError = finalSuccess
+              ? undefined
+              : (strategyStop.error || 'Task stopped by strategy without a successful finalResult');
+            session.log('info', 'Strategy ended the task after a tool result', { success: finalSuccess });
+            session.updateStatus({
+              sessionState: finalSuccess ? 'completed' : 'error',
+              progress: finalSuccess
+                ? { ...session.status.progress, percentage: 100 }
+                : session.status.progress,
+              finalResult: this.toStatusFinalResult({ ...strategyStop, success: finalSuccess })
             });
+            break taskLoop;
+          }
 
-            const toolResponse = await executeToolCall(
-              this.config,
-              requestInfo,
-              toolRegistry,
-              abortController.signal,
-            );
-
-            // Fully reuse CLI's error handling logic with LLM feedback for non-fatal errors
-            if (toolResponse.error) {
-              const isToolNotFound = toolResponse.error.message.includes(
-                'not found in registry',
-              );
-              const errorMsg = `Error executing tool ${fc.name}: ${toolResponse.resultDisplay || toolResponse.error.message}`;
-              
-              this.updateToolStatus(callId, {
-                status: 'error',
-                error: errorMsg,
-                duration: Date.now() - toolStartTime
+          currentMessages = [{ role: 'user', parts: toolResponseParts }];
+        } else {
+          // No tool calls in this turn - use smart continuation mechanism
+          session.log('debug', 'No tool calls, checking task completion');
+          
+          // Check if task is completed using strategy
+          // Without a strategy, a submitted result completes a task with a resultSchema
+          const isCompleted = this.strategy 
+            ? this.strategy.isTaskComplete(session.status.toolCalls, this.toFinalResponse(accumulatedText, turnUsage))
+            : session.resultData !== undefined;
+          
+          session.log('debug', 'Strategy completion check', {
+            completed: isCompleted,
+            toolCalls: session.status.toolCalls.map(tc => `${tc.name}(${tc.status})`)
+          });
+          
+          if (isCompleted && request.resultSchema && session.resultData === undefined) {
+            if (session.resultReminders >= MAX_RESULT_REMINDERS) {
+              session.log('warn', 'Task finished without submitting a result');
+              executionError = `Task failed: no valid result was submitted via ${SUBMIT_RESULT_TOOL}`;
+              finalSuccess = false;
+              session.updateStatus({
+                sessionState: 'error',
+                finalResult: {
+                  success: false,
+                  error: executionError,
+                  summary: 'Task failed: no result was submitted'
+                }
               });
+              break taskLoop;
+            }
 
-              // Always feedback error to LLM
-              toolResponseParts.push({ text: `TOOL_ERROR(${fc.name}): ${errorMsg}` });
+            session.resultReminders++;
+            currentMessages = [{
+              role: 'user',
+              parts: [{ text: `No result has been submitted yet. Call ${SUBMIT_RESULT_TOOL} with the final result of the task.` }]
+            }];
+            continue taskLoop;
+          }
 
-              // Check if this is a fatal error that should terminate the task
-              const fatal = !isToolNotFound && isFatalToolError(errorMsg);
-              if (fatal) {
-                executionError = errorMsg;
+          if (isCompleted) {
+            // Let the strategy check the produced output before accepting it
+            const verification = await this.verifyCompletion(session, accumulatedText);
+            if (signal.aborted) {
+              break taskLoop;
+            }
+            if (verification && !verification.passed) {
+              const findings = verification.findings?.length ? verification.findings : ['The completion check failed.'];
+              const maxRounds = request.maxVerificationRounds ?? 3;
+              if (session.verificationRounds >= maxRounds) {
+                session.log('warn', 'Task failed completion verification', { rounds: session.verificationRounds });
+                executionError = `Task failed verification after ${session.verificationRounds} rounds: ${findings.join('; ')}`;
                 finalSuccess = false;
-                this.updateStatus({
+                session.updateStatus({
                   sessionState: 'error',
                   finalResult: {
                     success: false,
-                    error: errorMsg,
-                    summary: 'Task failed due to fatal tool error'
+                    error: executionError,
+                    summary: 'Task failed: completion verification did not pass'
                   }
                 });
                 break taskLoop;
               }
-              // Non-fatal error: continue to let LLM handle it
-              continue;
-            } else {
-              // Process tool result using strategy if available
-              let exportPath: string | undefined;
-              let processingResult: any = undefined;
-              
-              if (this.strategy) {
-                const toolCall = {
-                  callId,
-                  name: fc.name as string,
-                  args: fc.args ?? {},
-                  status: 'completed' as const,
-                  startTime: toolStartTime
-                };
-                
-                processingResult = this.strategy.processToolResult(toolCall, toolResponse);
-                
-                // Extract any data from strategy processing
-                if (processingResult?.extractedData?.exportPath) {
-                  exportPath = processingResult.extractedData.exportPath;
-                }
-                
-                // Update final result if strategy provides one
-                if (processingResult?.finalResult) {
-                  this.updateStatus({
-                    finalResult: processingResult.finalResult
-                  });
-                }
-              }
 
-              this.updateToolStatus(callId, {
-                status: 'completed',
-                duration: Date.now() - toolStartTime,
-                exportPath,
-                result: toolResponse.resultDisplay ? 
-                  (typeof toolResponse.resultDisplay === 'string' 
-                    ? toolResponse.resultDisplay 
-                    : JSON.stringify(toolResponse.resultDisplay)) : undefined,
-                responseParts: Array.isArray(toolResponse.responseParts) 
-                  ? toolResponse.responseParts 
-                  : [toolResponse.responseParts]
-              });
+              currentMessages = [{
+                role: 'user',
+                parts: [{
+                  text: 'The task is not complete yet. Verification found these problems:\n'
+                    + findings.map(finding => `- ${finding}`).join('\n')
+                    + '\nFix them, then finish the task again.'
+                }]
+              }];
+              continue taskLoop;
             }
 
-            // Fully reuse CLI's responseParts handling logic
-            if (toolResponse.responseParts) {
-              const parts = Array.isArray(toolResponse.responseParts)
-                ? toolResponse.responseParts
-                : [toolResponse.responseParts];
-              for (const part of parts) {
-                if (typeof part === 'string') {
-                  toolResponseParts.push({ text: part });
-                } else if (part) {
-                  toolResponseParts.push(part);
-                }
-              }
-            }
-          }
-          currentMessages = [{ role: 'user', parts: toolResponseParts }];
-        } else {
-          // No tool calls in this turn - use smart continuation mechanism
-          console.log(`[TaskEngine] Turn ${this.sessionTurnCount}: No tool calls, checking task completion`);
-          
-          // Check if task is completed using strategy
-          const isCompleted = this.strategy 
-            ? this.strategy.isTaskComplete(this.currentStatus.toolCalls)
-            : false;
-          
-          console.log(`[TaskEngine] Strategy completion check: ${isCompleted}`);
-          console.log(`[TaskEngine] Current tool calls: ${this.currentStatus.toolCalls.map(tc => `${tc.name}(${tc.status})`).join(', ')}`);
-          
-          if (isCompleted) {
             // Task truly completed, normal exit
-            console.log(`[TaskEngine] Task marked as completed by strategy, exiting loop`);
-            this.updateStatus({
+            session.log('info', 'Task marked as completed by strategy');
+            session.updateStatus({
               sessionState: 'completed',
-              progress: { ...this.currentStatus.progress, percentage: 100 }
+              progress: { ...session.status.progress, percentage: 100 }
             });
             break taskLoop;
           }
           
-          // Use GeminiClient's smart continuation mechanism
-          console.log(`[TaskEngine] Calling checkNextSpeaker to determine continuation`);
+          // The continuation policy decides between a reminder and failing the task
+          session.stalledTurns++;
+          session.updateStatus({
+            currentAction: { type: 'thinking', description: 'Determining if conversation should continue...' }
+          });
+
+          let decision: ContinuationDecision;
           try {
-            this.updateStatus({
-              currentAction: { type: 'thinking', description: 'Determining if conversation should continue...' }
-            });
-            
-            const nextSpeakerCheck = await checkNextSpeaker(
+            decision = await this.continuationPolicy.decide({
+              sessionId: session.sessionId,
+              request,
+              response: accumulatedText,
+              toolCalls: session.status.toolCalls,
+              progress: session.status.progress,
+              attempt: session.stalledTurns,
+              strategy: this.strategy,
               chat,
               geminiClient,
-              abortController.signal,
-            );
-            
-            console.log(`[TaskEngine] NextSpeaker result: ${JSON.stringify(nextSpeakerCheck, null, 2)}`);
-            
-            if (nextSpeakerCheck?.next_speaker === 'model') {
-              // LLM indicates it should continue - send "Please continue."
-              console.log(`Smart continuation: ${nextSpeakerCheck.reasoning}`);
-              this.updateStatus({
-                currentAction: { type: 'thinking', description: 'Continuing conversation...' }
-              });
-              
-              currentMessages = [{ 
-                role: 'user', 
-                parts: [{ text: 'Please continue.' }] 
-              }];
-              continue taskLoop; // Continue the conversation
-            } else {
-              // LLM indicates user should speak next or unable to determine
-              // Since this is a task execution context, treat as completion or failure
-              if (nextSpeakerCheck?.reasoning) {
-                console.log(`Smart continuation stopped: ${nextSpeakerCheck.reasoning}`);
-              }
-              
-              // Task not explicitly completed
-              console.warn('LLM stopped generating but task not completed - marking as failed');
-              executionError = 'Task failed: Task was not completed successfully.';
-              finalSuccess = false;
-              this.updateStatus({
-                sessionState: 'error',
-                finalResult: {
-                  success: false,
-                  error: executionError,
-                  summary: 'Task failed: Task was not completed successfully'
-                }
-              });
+              signal
+            });
+          } catch (error) {
+            if (signal.aborted) {
               break taskLoop;
             }
-          } catch (error) {
-            // If nextSpeakerCheck fails, fall back to treating as completion failure
-            console.warn('NextSpeakerCheck failed:', error);
-            console.warn('LLM stopped generating but task not completed - marking as failed');
-            executionError = 'Task failed: Task was not completed successfully.';
-            finalSuccess = false;
-            this.updateStatus({
-              sessionState: 'error',
-              finalResult: {
-                success: false,
-                error: executionError,
-                summary: 'Task failed: Task was not completed successfully'
-              }
+            session.log('warn', 'Continuation policy failed, marking task as failed', {
+              error: error instanceof Error ? error.message : String(error)
             });
+            decision = { type: 'fail' };
+          }
+          if (signal.aborted) {
             break taskLoop;
           }
+
+          session.log('debug', 'Continuation decision', { decision: decision.type, attempt: session.stalledTurns });
+
+          if (decision.type === 'continue') {
+            session.updateStatus({
+              currentAction: { type: 'thinking', description: 'Continuing conversation...' }
+            });
+            currentMessages = [{ role: 'user', parts: [{ text: decision.message }] }];
+            continue taskLoop;
+          }
+
+          session.log('warn', 'Model stopped before the task was completed, marking as failed', { reason: decision.reason });
+          executionError = decision.reason
+            ? `Task failed: ${decision.reason}`
+            : 'Task failed: Task was not completed successfully.';
+          finalSuccess = false;
+          session.updateStatus({
+            sessionState: 'error',
+            finalResult: {
+              success: false,
+              error: executionError,
+              summary: 'Task failed: Task was not completed successfully'
+            }
+          });
+          break taskLoop;
         }
       }
     } catch (error) {
-      const errorMessage = error instanceof Error ? error.message : String(error);
-      console.log(`[TaskEngine] Caught error in main execution loop: ${errorMessage}`);
-      console.log(`[TaskEngine] Error stack: ${error instanceof Error ? error.stack : 'No stack'}`);
-      executionError = errorMessage;
-      finalSuccess = false;
-    } finally {
-      // Fully reuse CLI's cleanup logic
-      if (isTelemetrySdkInitialized()) {
-        await shutdownTelemetry(this.config);
+      // Aborted streams and tools throw as well; cancellation is reported below
+      if (!signal.aborted) {
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        session.log('error', 'Task execution failed', {
+          error: errorMessage,
+          stack: error instanceof Error ? error.stack : undefined
+        });
+        executionError = errorMessage;
+        finalSuccess = false;
       }
+    } finally {
+      turnTimeout?.dispose();
+      await this.cleanup(session, config, toolRegistry);
+    }
+
+    if (signal.aborted) {
+      const cancelledResult = this.buildCancelledResult(session);
+      await this.saveCheckpoint(session, resumePoint.history, resumePoint.messages);
+      return cancelledResult;
     }
 
-    // Enhanced logging for task completion analysis
-    console.log(`[TaskEngine] Task execution completed:`);
-    console.log(`  - Final success: ${finalSuccess}`);
-    console.log(`  - Execution error: ${executionError || 'None'}`);
-    console.log(`  - Turn count: ${this.sessionTurnCount}`);
-    console.log(`  - Tool calls: ${this.currentStatus.toolCalls.length}`);
-    console.log(`  - Session state: ${this.currentStatus.sessionState}`);
-    console.log(`  - Current final result: ${JSON.stringify(this.currentStatus.finalResult, null, 2)}`);
+    await this.saveCheckpoint(
+      session,
+      resumePoint.history,
+      resumePoint.messages,
+      finalSuccess ? 'completed' : 'error'
+    );
+
+    session.log('info', 'Task execution completed', {
+      success: finalSuccess,
+      error: executionError,
+      turnCount: session.sessionTurnCount,
+      toolCallCount: session.status.toolCalls.length,
+      sessionState: session.status.sessionState
+    });
     
     // Check why the task stopped
     if (!finalSuccess && !executionError) {
-      console.log(`[TaskEngine] WARNING: Task marked as failed but no error message set`);
+      session.log('warn', 'Task marked as failed but no error message set');
     }
     
-    if (this.currentStatus.sessionState !== 'completed' && this.currentStatus.sessionState !== 'error') {
-      console.log(`[TaskEngine] WARNING: Task stopped with session state: ${this.currentStatus.sessionState}`);
-    }
-
     // Build final result
     const finalResult: TaskResult = {
       success: finalSuccess,
       sessionId: request.sessionId,
-      outputPath: this.currentStatus.finalResult?.outputPath,
-      executionSummary: executionError || this.currentStatus.finalResult?.summary || 'Task execution completed',
+      outputPath: session.status.finalResult?.outputPath,
+      executionSummary: executionError || session.status.finalResult?.summary || 'Task execution completed',
       error: executionError,
+      data: session.resultData,
       metadata: {
-        totalDuration: Date.now() - this.startTime,
-        turnCount: this.sessionTurnCount, // Use sessionTurnCount for consistency
-        toolCallCount: this.currentStatus.toolCalls.length
+        totalDuration: session.elapsed(),
+        turnCount: session.sessionTurnCount, // Use sessionTurnCount for consistency
+        toolCallCount: session.status.toolCalls.length,
+        usage: session.usage?.getSummary()
       }
     };
 
-    console.log(`[TaskEngine] Returning final result: ${JSON.stringify(finalResult, null, 2)}`);
     return finalResult;
   }
 
 
   
 
-  private updateStatus(partial: Partial<TaskStatus>): void {
-    this.currentStatus = { ...this.currentStatus, ...partial };
-    this.currentStatus.timestamp = new Date().toISOString();
-    this.statusCallback(this.currentStatus);
-  }
+  /**
+   * Run the strategy's completion check, if it has one
+   */
+  private async verifyCompletion(session: TaskSession, response: string): Promise<CompletionVerification | undefined> {
+    if (!this.strategy?.verifyCompletion) {
+      return undefined;
+    }
 
-  private updateToolStatus(callId: string, update: Partial<TaskStatus['toolCalls'][0]>): void {
-    const existingIndex = this.currentStatus.toolCalls.findIndex(call => call.callId === callId);
-    
-    if (existingIndex >= 0) {
-      this.currentStatus.toolCalls[existingIndex] = {
-        ...this.currentStatus.toolCalls[existingIndex],
-        ...update
-      };
-    } else {
-      this.currentStatus.toolCalls.push({
-        callId,
-        name: '',
-        args: {},
-        status: 'pending',
-        startTime: Date.now(),
-        ...update
-      });
+    const round = ++session.verificationRounds;
+    session.updateStatus({
+      currentAction: { type: 'verifying', description: `Verifying completion (round ${round})` }
+    });
+    const verification = await this.strategy.verifyCompletion({
+      sessionId: session.sessionId,
+      request: session.request,
+      response,
+      toolCalls: session.status.toolCalls,
+      outputPath: session.status.finalResult?.outputPath,
+      extractedData: session.extractedData,
+      round,
+      data: session.resultData,
+      signal: session.signal
+    });
+
+    session.log(verification.passed ? 'info' : 'warn', 'Completion verification', {
+      round,
+      passed: verification.passed,
+      findings: verification.findings
+    });
+    session.updateStatus({
+      verification: { rounds: round, passed: verification.passed, findings: verification.findings }
+    });
+    session.emitEvent({
+      type: 'verification',
+      turn: session.sessionTurnCount,
+      round,
+      passed: verification.passed,
+      findings: verification.findings
+    });
+    return verification;
+  }
+
+  /**
+   * The final model response as passed to isTaskComplete
+   */
+  private toFinalResponse(text: string, usage: GenerateContentResponse['usageMetadata']): GenerateContentResponse {
+    return Object.assign(new GenerateContentResponse(), {
+      candidates: [{ content: { role: 'model', parts: text ? [{ text }] : [] }, index: 0 }],
+      usageMetadata: usage
+    });
+  }
+
+  /**
+   * Tool declarations sent to the model. With advertiseOnlyValidTools, tools the
+   * strategy rejects are hidden; they are checked without arguments here, and
+   * every actual call is still validated with its real arguments.
+   */
+  private getFunctionDeclarations(
+    toolRegistry: ToolRegistry,
+    resultSchema?: Record<string, unknown>
+  ): FunctionDeclaration[] {
+    let declarations = toolRegistry.getFunctionDeclarations();
+    if (this.advertiseOnlyValidTools && this.strategy) {
+      const strategy = this.strategy;
+      declarations = declarations.filter(declaration =>
+        !!declaration.name && strategy.isValidToolCall(declaration.name, {})
+      );
     }
-    
-    this.updateStatus({});
+
+    if (resultSchema) {
+      declarations = [...declarations, {
+        name: SUBMIT_RESULT_TOOL,
+        description: 'Submit the final result of the task. Call this once the work is done; '
+          + 'the arguments are the result and must match the parameter schema.',
+        parametersJsonSchema: resultSchema
+      }];
+    }
+    return declarations;
+  }
+
+  /**
+   * Map a strategy-provided TaskResult fragment onto the status final result
+   */
+  private toStatusFinalResult(result: Partial<TaskResult>): TaskStatus['finalResult'] {
+    const success = result.success ?? !result.error;
+    return {
+      success,
+      outputPath: result.outputPath,
+      summary: result.executionSummary
+        || (success ? 'Task completed by strategy' : `Task failed: ${result.error}`),
+      error: result.error
+    };
+  }
+
+  /**
+   * Progress for the status: the session's progress tracker when configured,
+   * otherwise the strategy's (or turn-based) percentage
+   */
+  private buildProgress(
+    session: TaskSession,
+    turns: Pick<TaskStatus['progress'], 'currentTurn' | 'maxTurns'>
+  ): TaskStatus['progress'] {
+    if (!session.progressTracker) {
+      return { ...turns, percentage: this.calculateProgress(session) };
+    }
+
+    const info = session.progressTracker.updateProgress({
+      toolCalls: session.status.toolCalls,
+      turnCount: session.turnCount,
+      sessionTurnCount: session.sessionTurnCount,
+      currentAction: session.status.currentAction,
+      strategy: this.strategy
+    });
+
+    return {
+      currentTurn: turns.currentTurn,
+      maxTurns: turns.maxTurns,
+      percentage: info.percentage,
+      currentStep: info.currentStep,
+      completedSteps: info.completedSteps,
+      remainingSteps: info.remainingSteps,
+      estimatedTimeRemaining: info.estimatedTimeRemaining
+    };
   }
 
-  private calculateProgress(): number {
+  private calculateProgress(session: TaskSession): number {
     // Use strategy for progress calculation if available
     if (this.strategy) {
       return this.strategy.calculateProgress(
-        this.currentStatus.toolCalls || [],
-        this.currentStatus.progress.currentTurn
+        session.status.toolCalls || [],
+        session.status.progress.currentTurn
       );
     }
 
     // Fallback: simple turn-based progress
-    const maxTurns = this.config?.getMaxSessionTurns() || 50;
-    const turnProgress = Math.min((this.currentStatus.progress.currentTurn / maxTurns) * 95, 95);
+    const maxTurns = session.config?.getMaxSessionTurns() || 50;
+    const turnProgress = Math.min((session.status.progress.currentTurn / maxTurns) * 95, 95);
     
     // Check if task appears completed
-    if (this.currentStatus.finalResult?.success) {
+    if (session.status.finalResult?.success) {
       return 100;
     }
     
     return turnProgress;
   }
 
-  private isRecoverableError(errorMessage: string): boolean {
-    // Define patterns for recoverable errors that LLM can handle
-    const recoverablePatterns = [
-      /token.*count.*exceeds.*maximum/i,           // Token limit exceeded
-      /input.*token.*count.*exceeds/i,             // Input token limit
-      /context.*length.*exceeded/i,                // Context length issues
-      /request.*too.*large/i,                      // Request size issues
-      /rate.*limit.*exceeded/i,                    // Rate limiting (temporary)
-      /quota.*exceeded/i,                          // Quota issues (might be temporary)
-      /service.*temporarily.*unavailable/i,        // Temporary service issues
-      /timeout/i,                                  // Request timeouts
-      /network.*error/i,                           // Network connectivity issues
-      /connection.*reset/i,                        // Connection issues
-      /socket.*hang.*up/i,                         // Socket connection dropped
-      /econnreset/i,                               // Connection reset by peer
-      /enotfound/i,                                // DNS resolution failures
-      /econnrefused/i,                             // Connection refused (may be temporary)
-      /etimedout/i,                                // Network timeouts
-      /temporary.*failure/i                        // Any temporary failure
-    ];
-    
-    return recoverablePatterns.some(pattern => pattern.test(errorMessage));
-  }
-
-  private formatErrorForLLM(errorMessage: string, turnCount: number): string {
-    // Match Gemini CLI's concise error format
-    if (/token.*count.*exceeds/i.test(errorMessage)) {
-      return `✕ [API Error: Token limit exceeded]\n\nConsider using smaller parameters (e.g., maxResults: "50" instead of "0") or processing data in chunks.`;
-    } 
-    
-    if (/rate.*limit|quota.*exceeded/i.test(errorMessage)) {
-      return `✕ [API Error: Rate/quota limit exceeded]\n\nTry using fewer API calls or wait before retrying.`;
-    } 
-    
-    if (/timeout|network.*error|connection|socket.*hang.*up|econnreset|enotfound|econnrefused|etimedout/i.test(errorMessage)) {
-      return `✕ [Network Error: Connection issue detected]\n\nThis appears to be a temporary network problem. Retrying the same operation...`;
-    }
-    
-    // Extract the core error message for display
-    const coreError = errorMessage.replace(/^Error:\s*/i, '').split('\n')[0];
-    return `✕ [API Error: ${coreError}]`;
-  }
-
   private isValidResponse(response: GenerateContentResponse): boolean {
     // Use exact same validation logic as Gemini CLI
     if (response.candidates === undefined || response.candidates.length === 0) {
@@ -800,45 +1004,1268 @@ export class TaskEngine {
   }
 
   private getTextContent(response: GenerateContentResponse): string | null {
-    // Use exact same logic as CLI's getResponseText()
+    // Same filtering as the CLI's getResponseText(), applied to every part so
+    // text that follows a thought in the same chunk is kept
     const candidate = response.candidates?.[0];
     if (!candidate?.content?.parts || candidate.content.parts.length === 0) {
       return null;
     }
-    
-    // Filter out thoughts like CLI does
-    const thoughtPart = candidate.content.parts[0];
-    if (thoughtPart?.thought) {
-      return null;
-    }
-    
-    // Use CLI's filtering approach: filter truthy text parts then join
+
     return candidate.content.parts
-      .filter((part) => part.text)  // Filters out falsy text (including empty strings)
+      .filter((part) => part.text && !part.thought)  // Filters out falsy text (including empty strings)
       .map((part) => part.text)
       .join('');
   }
 
-  // Keep this method for compatibility but it's no longer used in the main flow
+  /**
+   * Split a response chunk into its text and the parsed thoughts of its thought parts
+   */
   private getResponseContent(response: GenerateContentResponse): {
     textPart: string | null;
-    thoughtSummary: ThoughtSummary | null;
+    thoughtSummaries: ThoughtSummary[];
   } {
-    // This method is now deprecated in favor of the direct processing approach
-    // but kept for backward compatibility
-    return { textPart: this.getTextContent(response), thoughtSummary: null };
+    const parts = response.candidates?.[0]?.content?.parts ?? [];
+    const thoughtSummaries = parts
+      .filter(part => part.thought && part.text)
+      .map(part => {
+        // Same convention as the CLI: a bold **subject**, the rest is the description
+        const rawText = part.text ?? '';
+        const subjectMatch = rawText.match(/\*\*(.*?)\*\*/s);
+        return {
+          subject: subjectMatch ? subjectMatch[1].trim() : '',
+          description: rawText.replace(/\*\*(.*?)\*\*/s, '').trim()
+        };
+      });
+    return { textPart: this.getTextContent(response), thoughtSummaries };
   }
 
-  async abort(): Promise<void> {
-    // Note: Since abortController is now a local variable, abort functionality needs redesign
-    // Can be implemented through setting flags or other methods
-    this.updateStatus({
-      sessionState: 'error',
+  /**
+   * Publish a thought. Chunks without a subject continue the previous thought of the turn.
+   */
+  private recordThought(session: TaskSession, thought: ThoughtSummary): void {
+    const turn = session.sessionTurnCount;
+    const thoughts = [...(session.status.thoughts ?? [])];
+    const last = thoughts[thoughts.length - 1];
+
+    if (!thought.subject && last?.turn === turn) {
+      thoughts[thoughts.length - 1] = {
+        ...last,
+        description: [last.description, thought.description].filter(Boolean).join('\n')
+      };
+    } else {
+      thoughts.push({ ...thought, turn });
+    }
+
+    const { turn: _turn, ...currentThought } = thoughts[thoughts.length - 1];
+    session.emitEvent({ type: 'thought', turn, thought: currentThought });
+    session.updateStatus({
+      currentThought,
+      thoughts,
+      currentAction: {
+        type: 'thinking',
+        description: currentThought.subject || `Turn ${turn} thinking...`
+      }
+    });
+  }
+
+  private buildCancelledResult(session: TaskSession): TaskResult {
+    if (session.timedOut) {
+      return this.buildTimeoutResult(session);
+    }
+
+    session.updateStatus({
+      sessionState: 'cancelled',
+      currentAction: { type: 'thinking', description: 'Task cancelled' },
       finalResult: {
         success: false,
         error: 'User cancelled',
         summary: 'Task was actively cancelled by user'
       }
     });
+
+    return {
+      success: false,
+      cancelled: true,
+      sessionId: session.sessionId,
+      error: 'User cancelled',
+      executionSummary: 'Task was actively cancelled by user',
+      metadata: {
+        totalDuration: session.elapsed(),
+        turnCount: session.status.progress.currentTurn,
+        toolCallCount: session.status.toolCalls.length,
+        usage: session.usage?.getSummary()
+      }
+    };
+  }
+
+  private buildTimeoutResult(session: TaskSession): TaskResult {
+    const error = `Task timed out after ${session.request.timeout}ms`;
+    session.updateStatus({
+      sessionState: 'error',
+      currentAction: { type: 'thinking', description: 'Task timed out' },
+      finalResult: {
+        success: false,
+        error,
+        summary: 'Task exceeded its time limit'
+      }
+    });
+
+    return {
+      success: false,
+      timedOut: true,
+      sessionId: session.sessionId,
+      error,
+      executionSummary: 'Task exceeded its time limit',
+      metadata: {
+        totalDuration: session.elapsed(),
+        turnCount: session.status.progress.currentTurn,
+        toolCallCount: session.status.toolCalls.length,
+        usage: session.usage?.getSummary()
+      }
+    };
+  }
+
+  /**
+   * Run the tool calls of one turn. Consecutive read-only calls run in parallel
+   * up to maxParallelToolCalls; mutating calls run on their own. Outcomes keep
+   * the order of the original calls.
+   */
+  private async executeFunctionCalls(
+    session: TaskSession,
+    config: Config,
+    toolRegistry: ToolRegistry,
+    functionCalls: FunctionCall[]
+  ): Promise<ToolCallOutcome[]> {
+    const outcomes: ToolCallOutcome[] = [];
+    // Set once the task is ending, so no further calls are started
+    let stopped = false;
+    let start = 0;
+
+    while (start < functionCalls.length && !stopped) {
+      let end = start + 1;
+      if (this.isReadOnlyCall(functionCalls[start])) {
+        while (end < functionCalls.length && this.isReadOnlyCall(functionCalls[end])) {
+          end++;
+        }
+      }
+
+      let next = start;
+      const worker = async () => {
+        while (!stopped && next < end) {
+          const index = next++;
+          try {
+            const outcome = await this.executeFunctionCall(session, config, toolRegistry, functionCalls[index], index);
+            outcomes[index] = outcome;
+            if (outcome.fatal || outcome.strategyStop || session.signal.aborted) {
+              stopped = true;
+            }
+          } catch (error) {
+            stopped = true;
+            throw error;
+          }
+        }
+      };
+      // A failed worker stops the others from starting calls, but the calls
+      // already running are awaited before the error is rethrown
+      const workerCount = Math.min(this.maxParallelToolCalls, end - start);
+      const settled = await Promise.allSettled(Array.from({ length: workerCount }, worker));
+      const failed = settled.find((result): result is PromiseRejectedResult => result.status === 'rejected');
+      if (failed) {
+        throw failed.reason;
+      }
+      start = end;
+    }
+
+    // Calls skipped after a stop leave holes
+    return outcomes.filter(outcome => outcome !== undefined);
+  }
+
+  private isReadOnlyCall(fc: FunctionCall): boolean {
+    return this.strategy?.getToolClass?.(fc.name as string, (fc.args ?? {}) as Record<string, unknown>) === 'read_only';
+  }
+
+  /**
+   * Guard, execute and post-process a single tool call
+   */
+  private async executeFunctionCall(
+    session: TaskSession,
+    config: Config,
+    toolRegistry: ToolRegistry,
+    fc: FunctionCall,
+    index: number
+  ): Promise<ToolCallOutcome> {
+    const callId = fc.id ?? `${fc.name}-${Date.now()}-${index}`;
+    let requestInfo: ToolCallRequestInfo = {
+      callId,
+      name: fc.name as string,
+      args: (fc.args ?? {}) as Record<string, unknown>,
+      isClientInitiated: false,
+      prompt_id: session.sessionId,
+    };
+
+    // The result of the task is handled by the engine, not a tool
+    if (session.request.resultSchema && requestInfo.name === SUBMIT_RESULT_TOOL) {
+      return this.submitResult(session, requestInfo, Date.now());
+    }
+
+    const authorizeStart = Date.now();
+    const authorization = await this.authorizeToolCall(session, config, toolRegistry, requestInfo);
+    if ('code' in authorization) {
+      return this.rejectToolCall(session, authorization.request, authorization.code, authorization.reason, authorizeStart);
+    }
+    requestInfo = authorization.request;
+
+    // Update tool call status
+    const toolStartTime = Date.now();
+    session.updateToolStatus(callId, {
+      name: requestInfo.name,
+      args: requestInfo.args,
+      status: 'executing',
+      startTime: toolStartTime
+    });
+    session.emitEvent({
+      type: 'tool_call_started',
+      turn: session.sessionTurnCount,
+      callId,
+      name: requestInfo.name,
+      args: requestInfo.args
+    });
+
+    const { response: toolResponse, failure } = await this.executeToolWithRecovery(
+      session,
+      config,
+      toolRegistry,
+      requestInfo,
+    );
+
+    // Fully reuse CLI's error handling logic with LLM feedback for non-fatal errors
+    if (failure) {
+      const errorMsg = failure.message;
+
+      session.updateToolStatus(callId, {
+        status: 'error',
+        error: errorMsg,
+        errorReason: failure.reason,
+        duration: Date.now() - toolStartTime
+      });
+      session.emitEvent({
+        type: 'tool_call_finished',
+        turn: session.sessionTurnCount,
+        callId,
+        name: requestInfo.name,
+        status: 'error',
+        duration: Date.now() - toolStartTime,
+        error: errorMsg,
+        errorReason: failure.reason
+      });
+
+      // Always feedback error to LLM
+      const parts: Part[] = failure.action.type === 'skip'
+        ? [{ text: `TOOL_SKIPPED(${fc.name}): ${errorMsg}` }]
+        : [{ text: `TOOL_ERROR(${fc.name}): ${failure.action.feedbackMessage || errorMsg}` }];
+
+      return {
+        parts,
+        fatal: failure.action.type === 'terminate'
+          ? { reason: failure.action.reason || errorMsg, message: errorMsg }
+          : undefined
+      };
+    }
+
+    // Process tool result using strategy if available
+    let exportPath: string | undefined;
+    let strategyStop: Partial<TaskResult> | undefined;
+
+    if (this.strategy) {
+      const toolCall = {
+        callId,
+        name: requestInfo.name,
+        args: requestInfo.args,
+        status: 'completed' as const,
+        startTime: toolStartTime
+      };
+
+      const processingResult: TaskProcessingResult | undefined = this.strategy.processToolResult(toolCall, toolResponse);
+
+      // Extract any data from strategy processing
+      if (processingResult?.extractedData) {
+        Object.assign(session.extractedData, processingResult.extractedData);
+      }
+      if (typeof processingResult?.extractedData?.exportPath === 'string') {
+        exportPath = processingResult.extractedData.exportPath;
+      }
+
+      // Update final result if strategy provides one
+      if (processingResult?.finalResult) {
+        session.updateStatus({
+          finalResult: this.toStatusFinalResult(processingResult.finalResult)
+        });
+      }
+
+      if (processingResult?.shouldContinue === false) {
+        strategyStop = processingResult.finalResult ?? {};
+      }
+    }
+
+    // Fully reuse CLI's responseParts handling logic
+    let parts: Part[] = [];
+    if (toolResponse.responseParts) {
+      const responseParts = Array.isArray(toolResponse.responseParts)
+        ? toolResponse.responseParts
+        : [toolResponse.responseParts];
+      for (const part of responseParts) {
+        if (typeof part === 'string') {
+          parts.push({ text: part });
+        } else if (part) {
+          parts.push(part);
+        }
+      }
+    }
+
+    let result = toolResponse.resultDisplay ?
+      (typeof toolResponse.resultDisplay === 'string'
+        ? toolResponse.resultDisplay
+        : JSON.stringify(toolResponse.resultDisplay)) : undefined;
+    let artifact: ToolArtifact | undefined;
+    const outputPolicy = this.strategy?.getToolOutputPolicy?.(requestInfo.name, requestInfo.args)
+      ?? this.toolOutputPolicy;
+    if (outputPolicy) {
+      const limited = await this.limitToolOutput(session, config, requestInfo, parts, result, outputPolicy);
+      if (limited) {
+        ({ parts, result, artifact } = limited);
+      }
+    }
+
+    const duration = Date.now() - toolStartTime;
+    session.updateToolStatus(callId, {
+      status: 'completed',
+      duration,
+      exportPath,
+      result,
+      artifact,
+      responseParts: parts
+    });
+    session.emitEvent({
+      type: 'tool_call_finished',
+      turn: session.sessionTurnCount,
+      callId,
+      name: requestInfo.name,
+      status: 'completed',
+      duration,
+      result,
+      artifact
+    });
+
+    // Workflow trackers can move on every completed tool, not just per turn
+    if (session.progressTracker) {
+      session.updateStatus({ progress: this.buildProgress(session, session.status.progress) });
+    }
+
+    return { parts, strategyStop };
+  }
+
+  /**
+   * Apply an output policy to a tool result. A failed spill only loses the
+   * file; the output is still truncated.
+   */
+  private async limitToolOutput(
+    session: TaskSession,
+    config: Config,
+    requestInfo: ToolCallRequestInfo,
+    parts: Part[],
+    result: string | undefined,
+    policy: ToolOutputPolicy
+  ): Promise<LimitedToolOutput | undefined> {
+    const directory = path.join(
+      config.getTargetDir(),
+      TOOL_OUTPUT_DIRECTORY,
+      encodeURIComponent(session.sessionId)
+    );
+    try {
+      return await new ToolOutputLimiter(directory).limit(requestInfo.callId, requestInfo.name, parts, result, policy);
+    } catch (error) {
+      session.log('warn', 'Failed to save tool output', {
+        toolName: requestInfo.name,
+        error: error instanceof Error ? error.message : String(error)
+      });
+      return new ToolOutputLimiter(directory).limit(
+        requestInfo.callId, requestInfo.name, parts, result, { ...policy, spill: false }
+      );
+    }
+  }
+
+  /**
+   * Validate a submit_result call against request.resultSchema. An invalid
+   * result goes back to the model with the validation errors to fix.
+   */
+  private submitResult(session: TaskSession, requestInfo: ToolCallRequestInfo, startTime: number): ToolCallOutcome {
+    const { callId, name, args } = requestInfo;
+    const validationError = SchemaValidator.validate(session.request.resultSchema, args);
+    const duration = Date.now() - startTime;
+
+    if (validationError) {
+      const error = `The result does not match the schema: ${validationError}. Fix it and call ${SUBMIT_RESULT_TOOL} again.`;
+      session.log('info', 'Submitted result failed validation', { error: validationError });
+      session.updateToolStatus(callId, { name, args, status: 'error', startTime, duration, error });
+      session.emitEvent({
+        type: 'tool_call_finished',
+        turn: session.sessionTurnCount,
+        callId,
+        name,
+        status: 'error',
+        duration,
+        error
+      });
+      return { parts: [{ functionResponse: { id: callId, name, response: { error } } }] };
+    }
+
+    session.resultData = args;
+    session.log('info', 'Result submitted');
+    const result = 'Result accepted.';
+    session.updateToolStatus(callId, { name, args, status: 'completed', startTime, duration, result });
+    session.emitEvent({
+      type: 'tool_call_finished',
+      turn: session.sessionTurnCount,
+      callId,
+      name,
+      status: 'completed',
+      duration,
+      result
+    });
+    return { parts: [{ functionResponse: { id: callId, name, response: { output: result } } }] };
+  }
+
+  /**
+   * Strategy check and approval for a call about to run. Returns the request
+   * to run, with any arguments the approver changed, or why it may not run.
+   */
+  private async authorizeToolCall(
+    session: TaskSession,
+    config: Config,
+    toolRegistry: ToolRegistry,
+    requestInfo: ToolCallRequestInfo
+  ): Promise<{ request: ToolCallRequestInfo } | { request: ToolCallRequestInfo; code: 'TOOL_REJECTED' | 'TOOL_DENIED'; reason: string }> {
+    // Let the strategy veto calls outside its workflow before anything runs
+    if (this.strategy && !this.strategy.isValidToolCall(requestInfo.name, requestInfo.args)) {
+      const reason = `Tool ${requestInfo.name} is not allowed for this task (${this.strategy.getName()})`;
+      return { request: requestInfo, code: 'TOOL_REJECTED', reason };
+    }
+
+    // Calls that want confirmation under the approval mode go to the approval hook
+    const approval = await this.requestToolApproval(session, config, toolRegistry, requestInfo);
+    if (approval.decision === 'deny') {
+      return { request: requestInfo, code: 'TOOL_DENIED', reason: approval.reason || `Tool ${requestInfo.name} was denied` };
+    }
+    if (approval.decision === 'modify') {
+      session.log('info', 'Tool arguments modified by approval hook', { toolName: requestInfo.name });
+      const modified = { ...requestInfo, args: approval.args };
+
+      // Modified arguments get the same checks as the model's
+      const invalid = this.validateModifiedArgs(toolRegistry, modified);
+      if (invalid) {
+        return { request: modified, code: 'TOOL_REJECTED', reason: invalid };
+      }
+      return { request: modified };
+    }
+    return { request: requestInfo };
+  }
+
+  /**
+   * Check arguments changed by the approval hook against the strategy and the
+   * tool's parameter schema. Returns the reason they are rejected, if any.
+   */
+  private validateModifiedArgs(toolRegistry: ToolRegistry, requestInfo: ToolCallRequestInfo): string | undefined {
+    const { name, args } = requestInfo;
+    if (this.strategy && !this.strategy.isValidToolCall(name, args)) {
+      return `Modified arguments for ${name} are not allowed for this task (${this.strategy.getName()})`;
+    }
+
+    const tool = toolRegistry.getTool(name);
+    const schemaError = tool ? SchemaValidator.validate(tool.parameterSchema, args) : null;
+    if (schemaError) {
+      return `Modified arguments for ${name} are invalid: ${schemaError}`;
+    }
+    return undefined;
+  }
+
+  /**
+   * Record a tool call that will not run and tell the model why
+   */
+  private rejectToolCall(
+    session: TaskSession,
+    requestInfo: ToolCallRequestInfo,
+    code: 'TOOL_REJECTED' | 'TOOL_DENIED',
+    reason: string,
+    startTime: number
+  ): ToolCallOutcome {
+    const { callId, name, args } = requestInfo;
+    session.log('info', 'Rejected tool call', { toolName: name, code, reason });
+    session.updateToolStatus(callId, {
+      name,
+      args,
+      status: 'rejected',
+      startTime,
+      duration: Date.now() - startTime,
+      error: reason
+    });
+    session.emitEvent({
+      type: 'tool_call_finished',
+      turn: session.sessionTurnCount,
+      callId,
+      name,
+      status: 'rejected',
+      duration: Date.now() - startTime,
+      error: reason
+    });
+    return {
+      parts: [{
+        functionResponse: {
+          id: callId,
+          name,
+          response: { error: { code, message: reason } }
+        }
+      }]
+    };
+  }
+
+  /**
+   * Same rule as the CLI's tool scheduler: outside yolo mode a tool is asked
+   * whether it needs confirmation, and if so the onToolApproval hook decides.
+   * Without a hook such calls are denied.
+   */
+  private async requestToolApproval(
+    session: TaskSession,
+    config: Config,
+    toolRegistry: ToolRegistry,
+    requestInfo: ToolCallRequestInfo
+  ): Promise<ToolApprovalDecision> {
+    if (config.getApprovalMode() === ApprovalMode.YOLO) {
+      return { decision: 'approve' };
+    }
+
+    const tool = toolRegistry.getTool(requestInfo.name);
+    if (!tool) {
+      return { decision: 'approve' }; // executeToolCall reports unknown tools
+    }
+
+    let invocation;
+    try {
+      invocation = tool.build(requestInfo.args);
+    } catch {
+      return { decision: 'approve' }; // Invalid args fail validation again when executed
+    }
+
+    let confirmation;
+    try {
+      confirmation = await invocation.shouldConfirmExecute(session.signal);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      return { decision: 'deny', reason: `Could not check whether ${requestInfo.name} needs approval: ${message}` };
+    }
+    if (!confirmation) {
+      return { decision: 'approve' };
+    }
+
+    const approver = session.request.onToolApproval;
+    if (!approver) {
+      return {
+        decision: 'deny',
+        reason: `Tool ${requestInfo.name} requires approval in ${config.getApprovalMode()} mode and no approver is configured`
+      };
+    }
+
+    session.updateToolStatus(requestInfo.callId, {
+      name: requestInfo.name,
+      args: requestInfo.args,
+      status: 'awaiting_approval',
+      startTime: Date.now()
+    });
+    const { onConfirm, ...details } = confirmation;
+    return this.raceWithAbort(approver({
+      sessionId: session.sessionId,
+      callId: requestInfo.callId,
+      name: requestInfo.name,
+      args: requestInfo.args,
+      description: invocation.getDescription(),
+      confirmation: details
+    }), session.signal);
+  }
+
+  /**
+   * Run a tool call, applying the error handler's retry and fallback decisions.
+   * When the call still fails, the failure carries the action for that error.
+   */
+  private async executeToolWithRecovery(
+    session: TaskSession,
+    config: Config,
+    toolRegistry: ToolRegistry,
+    requestInfo: ToolCallRequestInfo
+  ): Promise<{
+    response: ToolCallResponseInfo;
+    failure?: { message: string; action: RecoveryAction; reason?: 'timeout' };
+  }> {
+    let activeRequest = requestInfo;
+    let attempts = new Map<string, number>();
+
+    while (true) {
+      const toolTimeout = new TimeoutController(
+        session.signal,
+        this.strategy?.getToolTimeout?.(activeRequest.name, activeRequest.args) ?? session.request.toolTimeout
+      );
+
+      const { callId, name, args } = activeRequest;
+      session.trace?.record({ type: 'tool_call', callId, name, args });
+      let response: ToolCallResponseInfo;
+      try {
+        // Tools are not required to honor the signal, so stop waiting on abort
+        response = await this.raceWithAbort(
+          executeToolCall(config, activeRequest, toolRegistry, toolTimeout.signal),
+          toolTimeout.signal,
+        );
+      } catch (error) {
+        if (!toolTimeout.timedOut) {
+          throw error;
+        }
+        session.trace?.record({ type: 'tool_result', callId, name, timedOut: true });
+
+        // Timeouts go straight back to the model; retrying a hung tool rarely helps
+        const message = `Tool ${activeRequest.name} timed out after ${toolTimeout.timeout}ms`;
+        return {
+          response: {
+            callId: requestInfo.callId,
+            responseParts: [],
+            resultDisplay: undefined,
+            error: new Error(message),
+            errorType: undefined
+          },
+          failure: { message, action: { type: 'feedback', feedbackMessage: message }, reason: 'timeout' }
+        };
+      } finally {
+        toolTimeout.dispose();
+      }
+      session.trace?.record({ type: 'tool_result', callId, name, ...this.getTraceToolResult(response) });
+
+      if (!response.error) {
+        return {
+          response: activeRequest === requestInfo
+            ? response
+            : this.renameFunctionResponses(response, requestInfo.name)
+        };
+      }
+
+      const message = `Error executing tool ${activeRequest.name}: ${response.resultDisplay || response.error.message}`;
+      const { action, attempt } = this.resolveRecoveryAction(session, new Error(message), {
+        source: 'tool',
+        toolName: activeRequest.name,
+        args: activeRequest.args,
+        turnCount: session.turnCount
+      }, attempts);
+
+      if (action.type === 'retry') {
+        const delay = this.getRetryDelay(action, attempt);
+        session.log('warn', 'Tool call failed, retrying', { toolName: activeRequest.name, attempt, delay, error: message });
+        session.emitEvent({
+          type: 'retry',
+          source: 'tool',
+          attempt,
+          delay,
+          error: message,
+          toolName: activeRequest.name
+        });
+        session.updateStatus({
+          currentAction: {
+            type: 'retrying',
+            description: `Tool ${activeRequest.name} failed, retry ${attempt} in ${Math.ceil(delay / 1000)}s`
+          }
+        });
+        await this.sleep(delay, session.signal);
+        session.updateStatus({
+          currentAction: { type: 'tool_executing', description: `Turn ${session.sessionTurnCount} executing tools...` }
+        });
+        continue;
+      }
+
+      // Only fall back once, from the tool the model asked for. The fallback
+      // goes through the same strategy check and approval as the original.
+      if (action.type === 'fallback' && action.fallbackTool && activeRequest === requestInfo) {
+        session.log('info', 'Falling back to another tool', { toolName: requestInfo.name, fallbackTool: action.fallbackTool });
+        const authorization = await this.authorizeToolCall(
+          session,
+          config,
+          toolRegistry,
+          { ...requestInfo, name: action.fallbackTool }
+        );
+        // Approval may have shown the fallback in the status; the call is still the model's
+        session.updateToolStatus(requestInfo.callId, { name: requestInfo.name, args: requestInfo.args, status: 'executing' });
+        if ('code' in authorization) {
+          const refused = `${message}. Fallback to ${action.fallbackTool} was refused (${authorization.code}): ${authorization.reason}`;
+          return { response, failure: { message: refused, action: { type: 'feedback', feedbackMessage: refused } } };
+        }
+        activeRequest = authorization.request;
+        attempts = new Map();
+        continue;
+      }
+
+      return { response, failure: { message, action } };
+    }
+  }
+
+  /**
+   * Shorten old tool results and summarize the older history once it nears
+   * the context window, or unconditionally after a context-length error.
+   * Returns whether the history changed.
+   */
+  private async manageContext(
+    session: TaskSession,
+    config: Config,
+    chat: GeminiChat,
+    geminiClient: GeminiClient,
+    reason: 'threshold' | 'context_length'
+  ): Promise<boolean> {
+    const manager = session.context;
+    if (!manager) {
+      return false;
+    }
+
+    let changed = false;
+    const truncation = manager.truncateToolResults(chat.getHistory());
+    if (truncation) {
+      chat.setHistory(truncation.history);
+      changed = true;
+      this.recordCompression(session, {
+        kind: 'truncate',
+        reason: 'old_tool_results',
+        tokensBefore: session.status.context?.tokenCount,
+        tokensAfter: await this.countHistoryTokens(config, geminiClient, chat),
+        truncatedToolResults: truncation.truncated
+      });
+    }
+
+    const tokenCount = session.status.context?.tokenCount
+      ?? await this.countHistoryTokens(config, geminiClient, chat);
+    if (reason === 'threshold' && (tokenCount === undefined || !manager.needsSummary(tokenCount))) {
+      return changed;
+    }
+
+    session.updateStatus({
+      currentAction: { type: 'thinking', description: `Turn ${session.sessionTurnCount} compressing conversation history...` }
+    });
+    try {
+      if (!await manager.summarize(chat, session.sessionId, session.signal)) {
+        return changed;
+      }
+    } catch (error) {
+      if (session.signal.aborted) {
+        throw error;
+      }
+      const cause = ModelRequestError.unwrap(error);
+      session.log('warn', 'Failed to summarize the history', { error: cause instanceof Error ? cause.message : String(cause) });
+      return changed;
+    }
+
+    this.recordCompression(session, {
+      kind: 'summarize',
+      reason,
+      tokensBefore: tokenCount,
+      tokensAfter: await this.countHistoryTokens(config, geminiClient, chat)
+    });
+    return true;
+  }
+
+  /**
+   * Shorten the long tool results of the message about to be sent. Returns
+   * the shortened messages, or undefined when nothing changed.
+   */
+  private truncatePendingMessage(session: TaskSession, messages: Content[]): Content[] | undefined {
+    const [message] = messages;
+    const truncation = message?.parts && session.context?.truncatePendingToolResults(message.parts);
+    if (!truncation) {
+      return undefined;
+    }
+
+    const tokenCount = session.status.context?.tokenCount;
+    this.recordCompression(session, {
+      kind: 'truncate',
+      reason: 'pending_tool_results',
+      tokensBefore: tokenCount,
+      tokensAfter: tokenCount,
+      truncatedToolResults: truncation.truncated
+    });
+    return [{ ...message, parts: truncation.parts }, ...messages.slice(1)];
+  }
+
+  private recordCompression(session: TaskSession, compression: Omit<ContextCompression, 'turn'>): void {
+    const entry: ContextCompression = { turn: session.sessionTurnCount, ...compression };
+    const context = session.status.context!;
+    session.log('info', 'Compressed the conversation history', { ...compression });
+    session.updateStatus({
+      context: { ...context, tokenCount: entry.tokensAfter, compressions: [...context.compressions, entry] }
+    });
+    session.emitEvent({ type: 'context_compressed', turn: entry.turn, compression: entry });
+  }
+
+  private async countHistoryTokens(config: Config, geminiClient: GeminiClient, chat: GeminiChat): Promise<number | undefined> {
+    try {
+      const { totalTokens } = await geminiClient.getContentGenerator().countTokens({
+        model: config.getModel(),
+        contents: chat.getHistory(true)
+      });
+      return totalTokens;
+    } catch {
+      return undefined;
+    }
+  }
+
+  private isContextLengthError(session: TaskSession, error: Error): boolean {
+    const classification = this.errorHandler.classifyError(error, {
+      source: 'api',
+      toolName: '',
+      args: {},
+      turnCount: session.turnCount,
+      previousErrors: [...session.previousErrors]
+    });
+    return classification.category === 'context_length';
+  }
+
+  /**
+   * Tool output as the model saw it, or the error message
+   */
+  private getTraceToolResult(response: ToolCallResponseInfo): { output?: string; error?: string } {
+    if (response.error) {
+      const display = typeof response.resultDisplay === 'string' ? response.resultDisplay : undefined;
+      return { error: display || response.error.message };
+    }
+    const parts = Array.isArray(response.responseParts) ? response.responseParts : [response.responseParts];
+    const output = parts
+      .map(part => typeof part === 'object' ? part.functionResponse?.response : undefined)
+      .find(Boolean);
+    return { output: typeof output?.output === 'string' ? output.output : JSON.stringify(output ?? null) };
+  }
+
+  /**
+   * Consult the error handler. Attempts are counted per error category in
+   * `attempts`, so each category uses up only its own retry budget. Retries
+   * beyond maxRetries or refused by shouldRetry() turn into feedback to the
+   * model, or terminate the task when the action says so.
+   */
+  private resolveRecoveryAction(
+    session: TaskSession,
+    error: Error,
+    context: Omit<ErrorContext, 'previousErrors'>,
+    attempts: Map<string, number>
+  ): { action: RecoveryAction; attempt: number } {
+    const fullContext: ErrorContext = { ...context, previousErrors: [...session.previousErrors] };
+    session.previousErrors.push(error);
+
+    const classification = this.errorHandler.classifyError(error, fullContext);
+    const attempt = (attempts.get(classification.category) ?? 0) + 1;
+    attempts.set(classification.category, attempt);
+    if (classification.shouldTerminate) {
+      return { action: { type: 'terminate' }, attempt };
+    }
+
+    const action = this.errorHandler.getRecoveryAction(error, fullContext);
+    if (action.type === 'retry') {
+      const withinBudget = attempt <= (action.maxRetries ?? Infinity)
+        && this.errorHandler.shouldRetry(error, attempt);
+      if (!withinBudget) {
+        if (action.onExhausted === 'terminate') {
+          const target = context.source === 'api' ? 'Model request' : `Tool ${context.toolName}`;
+          return {
+            action: {
+              type: 'terminate',
+              reason: `${target} failed after ${attempt - 1} retries (${classification.category}): ${error.message}`
+            },
+            attempt
+          };
+        }
+        return { action: { type: 'feedback', feedbackMessage: action.feedbackMessage }, attempt };
+      }
+    }
+
+    return { action, attempt };
+  }
+
+  /**
+   * Exponential backoff with jitter, unless the server asked for a specific
+   * delay. Either way the delay stays within maxRetryDelay.
+   */
+  private getRetryDelay(action: RecoveryAction, attempt: number): number {
+    if (action.retryAfter !== undefined) {
+      return Math.min(action.retryAfter, action.maxRetryDelay ?? Infinity);
+    }
+
+    const backoff = Math.min(
+      (action.retryDelay ?? 1000) * Math.pow(2, attempt - 1),
+      action.maxRetryDelay ?? Infinity
+    );
+    // Keep at least half the delay and randomize the rest to spread out retries
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  /**
+   * Report a fallback tool's result under the name of the tool the model called
+   */
+  private renameFunctionResponses(response: ToolCallResponseInfo, name: string): ToolCallResponseInfo {
+    const rename = (part: any) =>
+      part && typeof part === 'object' && part.functionResponse
+        ? { ...part, functionResponse: { ...part.functionResponse, name } }
+        : part;
+    const responseParts = Array.isArray(response.responseParts)
+      ? response.responseParts.map(rename)
+      : rename(response.responseParts);
+    return { ...response, responseParts };
+  }
+
+  private sleep(ms: number, signal: AbortSignal): Promise<void> {
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(new Error('Operation cancelled.'));
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new Error('Operation cancelled.'));
+      };
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Describe the exceeded budget, if the session went over maxTokens or maxCost
+   */
+  private checkUsageBudget(session: TaskSession): string | undefined {
+    const usage = session.usage?.getSummary();
+    if (!usage) {
+      return undefined;
+    }
+
+    const { maxTokens, maxCost } = session.request;
+    if (maxTokens !== undefined && usage.total.totalTokens > maxTokens) {
+      return `Token budget exceeded: ${usage.total.totalTokens} tokens used, limit ${maxTokens}.`;
+    }
+    if (maxCost !== undefined && usage.cost !== undefined && usage.cost > maxCost) {
+      return `Cost budget exceeded: ${usage.cost.toFixed(4)} spent, limit ${maxCost}.`;
+    }
+    return undefined;
+  }
+
+  /**
+   * Persist the session so it can be resumed from this point. Store failures
+   * are logged but never fail the task itself.
+   */
+  private async saveCheckpoint(
+    session: TaskSession,
+    history: Content[],
+    pendingMessages: Content[],
+    sessionState: TaskStatus['sessionState'] = session.status.sessionState
+  ): Promise<void> {
+    if (!this.sessionStore) {
+      return;
+    }
+
+    try {
+      await this.sessionStore.save({
+        version: 1,
+        sessionId: session.sessionId,
+        request: session.persistableRequest(),
+        sessionState,
+        history,
+        pendingMessage: pendingMessages[0]?.parts || [],
+        toolCalls: session.status.toolCalls,
+        turnCount: session.turnCount,
+        sessionTurnCount: session.sessionTurnCount,
+        extractedData: session.extractedData,
+        finalResult: session.status.finalResult,
+        totalDuration: session.elapsed(),
+        usage: session.usage?.getSummary(),
+        verificationRounds: session.verificationRounds,
+        resultData: session.resultData,
+        updatedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      session.log('warn', 'Failed to save checkpoint', { error: error instanceof Error ? error.message : String(error) });
+    }
+  }
+
+  /**
+   * gemini-cli-core reads credentials from process.env, synchronously, when
+   * refreshAuth starts. Explicit credentials are set only for that span and
+   * restored right after, so sessions with different credentials can overlap.
+   */
+  private refreshAuth(config: Config, auth?: AuthOptions): Promise<void> {
+    if (!auth) {
+      return config.refreshAuth(AuthType.LOGIN_WITH_GOOGLE);
+    }
+
+    const overrides: Record<string, string | undefined> = {};
+    if (auth.type === 'gemini-api-key' && auth.apiKey) {
+      overrides.GEMINI_API_KEY = auth.apiKey;
+    }
+    if (auth.type === 'vertex-ai' && (auth.apiKey || auth.project || auth.location)) {
+      // An explicit project must not be shadowed by an API key from the environment
+      overrides.GOOGLE_API_KEY = auth.apiKey;
+      overrides.GOOGLE_CLOUD_PROJECT = auth.project ?? process.env.GOOGLE_CLOUD_PROJECT;
+      overrides.GOOGLE_CLOUD_LOCATION = auth.location ?? process.env.GOOGLE_CLOUD_LOCATION;
+    }
+
+    const saved = Object.keys(overrides).map(name => [name, process.env[name]] as const);
+    const apply = (entries: ReadonlyArray<readonly [string, string | undefined]>) => {
+      for (const [name, value] of entries) {
+        if (value === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = value;
+        }
+      }
+    };
+
+    apply(Object.entries(overrides));
+    try {
+      return config.refreshAuth(auth.type as AuthType);
+    } finally {
+      apply(saved);
+    }
+  }
+
+  /**
+   * Read one model response, streaming text and thoughts to the session as
+   * they arrive. Throws when the stream fails or stalls midway.
+   */
+  private async readTurn(
+    session: TaskSession,
+    responseStream: AsyncGenerator<GenerateContentResponse>,
+    timeout: TimeoutController
+  ): Promise<TurnOutput> {
+    const turn: TurnOutput = { text: '', functionCalls: [] };
+
+    for await (const resp of this.readStream(responseStream, timeout)) {
+      if (session.signal.aborted) {
+        break;
+      }
+
+      // Usage arrives on the last chunks, which may carry no content
+      if (resp.usageMetadata) {
+        turn.usage = resp.usageMetadata;
+      }
+      
+      // Follow Gemini CLI pattern: validate response first
+      if (!this.isValidResponse(resp)) {
+        continue;
+      }
+      
+      // Thoughts are only published when asked for, even if the model sends them
+      const { textPart: textContent, thoughtSummaries } = this.getResponseContent(resp);
+      if (session.request.includeThoughts) {
+        thoughtSummaries.forEach(thought => this.recordThought(session, thought));
+      }
+
+      // Accumulate text like CLI but send complete content
+      if (textContent) {
+        turn.text += textContent; // Accumulate text across responses
+        session.emitEvent({ type: 'text_delta', turn: session.sessionTurnCount, delta: textContent });
+        
+        // Send accumulated text for real-time display (but not marked complete yet)
+        session.updateStatus({
+          currentAction: { type: 'responding', description: `Turn ${session.sessionTurnCount} responding...` },
+          llmStream: { 
+            partialText: turn.text,  // Send complete accumulated text
+            isComplete: false
+          }
+        });
+      }
+      
+      if (resp.functionCalls) {
+        turn.functionCalls.push(...resp.functionCalls);
+      }
+    }
+
+    return turn;
+  }
+
+  /**
+   * Yield the chunks of a model stream, restarting the idle timer on each one
+   */
+  private async *readStream<T>(stream: AsyncGenerator<T>, timeout: TimeoutController): AsyncGenerator<T> {
+    while (true) {
+      let next: IteratorResult<T>;
+      try {
+        next = await this.raceWithAbort(stream.next(), timeout.signal);
+      } catch (error) {
+        if (timeout.timedOut) {
+          throw new Error(`Model stream timeout: no chunk within ${timeout.timeout}ms`);
+        }
+        throw error;
+      }
+      if (next.done) {
+        return;
+      }
+      timeout.touch();
+      yield next.value;
+    }
+  }
+
+  /**
+   * Resolve with the promise, or reject as soon as the signal aborts
+   */
+  private raceWithAbort<T>(promise: Promise<T>, signal: AbortSignal): Promise<T> {
+    if (signal.aborted) {
+      return Promise.reject(new Error('Operation cancelled.'));
+    }
+
+    return new Promise<T>((resolve, reject) => {
+      const onAbort = () => reject(new Error('Operation cancelled.'));
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(
+        value => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(value);
+        },
+        error => {
+          signal.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * Report the connection state of the session's MCP servers and follow
+   * later changes (e.g. a server dropping mid-task) until cleanup. The core
+   * keeps this state by server name only, so it is not scoped to the session.
+   */
+  private trackMcpServers(session: TaskSession, config: Config, toolRegistry: ToolRegistry): void {
+    const serverNames = Object.keys(config.getMcpServers() || {});
+    if (serverNames.length === 0) {
+      return;
+    }
+
+    const describe = (name: string) => ({
+      status: getMCPServerStatus(name),
+      toolCount: toolRegistry.getToolsByServer(name).length
+    });
+
+    session.updateStatus({
+      mcpServers: Object.fromEntries(serverNames.map(name => [name, describe(name)]))
+    });
+
+    session.mcpStatusListener = (serverName: string) => {
+      if (serverNames.includes(serverName) && session.isRunning()) {
+        session.updateStatus({
+          mcpServers: { ...session.status.mcpServers, [serverName]: describe(serverName) }
+        });
+      }
+    };
+    addMCPStatusChangeListener(session.mcpStatusListener);
+  }
+
+  /**
+   * Release everything the execution acquired: telemetry and MCP connections
+   */
+  private async cleanup(session: TaskSession, config: Config, toolRegistry: ToolRegistry): Promise<void> {
+    session.restoreChat?.();
+    session.restoreChat = undefined;
+
+    if (session.mcpStatusListener) {
+      removeMCPStatusChangeListener(session.mcpStatusListener);
+      session.mcpStatusListener = undefined;
+    }
+
+    // Fully reuse CLI's cleanup logic; telemetry is process-wide, so leave it
+    // running while other sessions still need it
+    const othersRunning = Array.from(this.sessions.values())
+      .some(other => other !== session && other.isRunning());
+    try {
+      if (isTelemetrySdkInitialized() && !othersRunning) {
+        await shutdownTelemetry(config);
+      }
+    } catch (error) {
+      session.log('warn', 'Failed to shut down telemetry', { error: error instanceof Error ? error.message : String(error) });
+    }
+
+    await this.disconnectMcpServers(session, toolRegistry);
+  }
+
+  private async disconnectMcpServers(session: TaskSession, toolRegistry: ToolRegistry): Promise<void> {
+    // gemini-cli-core has no public disconnect API; MCP clients live on the
+    // callable tool shared by every DiscoveredMCPTool of the same server
+    const clients = new Set<any>();
+    for (const tool of toolRegistry.getAllTools()) {
+      if (tool instanceof DiscoveredMCPTool) {
+        const mcpClients = (tool as any).mcpTool?.mcpClients;
+        if (Array.isArray(mcpClients)) {
+          mcpClients.forEach(client => clients.add(client));
+        }
+      }
+    }
+
+    await Promise.all(Array.from(clients).map(async client => {
+      try {
+        await client.close();
+      } catch (error) {
+        session.log('warn', 'Failed to disconnect MCP server', { error: error instanceof Error ? error.message : String(error) });
+      }
+    }));
+  }
+
+  /**
+   * Cancel a running task (or every running task when no sessionId is given)
+   * and wait until it has stopped and cleaned up. The pending executeTask()
+   * call resolves with `cancelled: true`.
+   */
+  async abort(sessionId?: string): Promise<void> {
+    const targets = sessionId
+      ? [this.sessions.get(sessionId)].filter((session): session is TaskSession => !!session)
+      : Array.from(this.sessions.values());
+
+    await Promise.all(targets.map(async session => {
+      const execution = session.execution;
+      if (!execution) {
+        return;
+      }
+
+      session.abortController.abort();
+      await execution;
+    }));
+  }
+
+  /**
+   * Get the latest status snapshot of a session, running or finished
+   */
+  getStatus(sessionId: string): TaskStatus | undefined {
+    return this.sessions.get(sessionId)?.status;
+  }
+
+  /**
+   * List status snapshots of all sessions known to this engine
+   */
+  listSessions(): TaskStatus[] {
+    return Array.from(this.sessions.values()).map(session => session.status);
+  }
+
+  /**
+   * Cancel running tasks, undo what the engine installed and drop all sessions
+   * and listeners. The engine cannot run tasks afterwards.
+   */
+  async dispose(): Promise<void> {
+    this.disposed = true;
+    await this.abort();
+    this.sessions.clear();
+    this.removeAllListeners();
+  }
+
+  /**
+   * Forget a finished session. Running sessions cannot be removed.
+   */
+  removeSession(sessionId: string): boolean {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.isRunning()) {
+      return false;
+    }
+    return this.sessions.delete(sessionId);
   }
-} 
\ No newline at end of file
+}
\ No newline at end of file
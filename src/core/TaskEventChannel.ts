@@ -0,0 +1,85 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import type { TaskEvent, TaskExecution, TaskResult } from '../types/types.js';
+
+// Events kept for iterators that have not been attached yet
+const DEFAULT_MAX_RECENT_EVENTS = 1000;
+
+/**
+ * Delivers the events of one execution to for-await iterators. Each iterator
+ * gets its own queue from the moment it is attached, starting with the most
+ * recent events, so a consumer that attaches late only misses events once more
+ * than maxRecent have gone by. Without iterators nothing else is retained.
+ */
+export class TaskEventChannel {
+  private recent: TaskEvent[] = [];
+  private queues = new Set<TaskEvent[]>();
+  private closed = false;
+  private waiters: Array<() => void> = [];
+
+  constructor(private maxRecent = DEFAULT_MAX_RECENT_EVENTS) {}
+
+  push(event: TaskEvent): void {
+    if (this.closed) {
+      return;
+    }
+    this.recent.push(event);
+    if (this.recent.length > this.maxRecent) {
+      this.recent.shift();
+    }
+    this.queues.forEach(queue => queue.push(event));
+    this.wake();
+  }
+
+  close(): void {
+    this.closed = true;
+    this.wake();
+  }
+
+  /**
+   * Make the result promise iterable; iteration ends when the promise settles
+   */
+  attach(promise: Promise<TaskResult>): TaskExecution {
+    promise.then(() => this.close(), () => this.close());
+    return Object.assign(promise, {
+      [Symbol.asyncIterator]: () => this.subscribe()
+    });
+  }
+
+  /**
+   * Register the queue right away, so nothing is missed before the first next()
+   */
+  private subscribe(): AsyncGenerator<TaskEvent> {
+    const queue = [...this.recent];
+    this.queues.add(queue);
+    return this.drain(queue);
+  }
+
+  private async *drain(queue: TaskEvent[]): AsyncGenerator<TaskEvent> {
+    try {
+      while (true) {
+        const event = queue.shift();
+        if (event) {
+          yield event;
+          continue;
+        }
+        if (this.closed) {
+          return;
+        }
+        await new Promise<void>(resolve => this.waiters.push(resolve));
+      }
+    } finally {
+      this.queues.delete(queue);
+    }
+  }
+
+  private wake(): void {
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+}
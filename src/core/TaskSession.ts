@@ -0,0 +1,173 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import type { Config } from '@google/gemini-cli-core';
+import type { TaskRequest, TaskStatus, TaskResult, TaskEvent } from '../types/types.js';
+import type { TaskCheckpoint, ProgressTracker, Logger, LogFields, LogLevel } from '../types/interfaces.js';
+import type { UsageTracker } from './UsageTracker.js';
+import type { ContextManager } from './ContextManager.js';
+import type { TraceRecorder } from '../tracing/index.js';
+
+type DistributiveOmit<T, K extends PropertyKey> = T extends unknown ? Omit<T, K> : never;
+
+/**
+ * Per-execution state of a single task, keyed by sessionId in TaskEngine.
+ * Keeping this off the engine instance lets one engine run many tasks at once.
+ */
+export class TaskSession {
+  readonly sessionId: string;
+  readonly request: TaskRequest;
+  readonly abortController = new AbortController();
+  readonly startTime = Date.now();
+
+  readonly resumedFrom?: TaskCheckpoint;
+
+  config?: Config;
+  status: TaskStatus;
+  turnCount = 0;
+  sessionTurnCount = 0;
+  verificationRounds = 0;
+  resultData?: unknown;        // Accepted submit_result arguments
+  resultReminders = 0;
+  stalledTurns = 0;            // Consecutive turns without tool calls
+  extractedData: Record<string, unknown> = {};
+  progressTracker?: ProgressTracker;
+  previousErrors: Error[] = [];
+  mcpStatusListener?: (serverName: string) => void;
+  usage?: UsageTracker;
+  context?: ContextManager;    // Unset when context compression is disabled
+  timedOut = false;
+  restoreChat?: () => void;    // Undoes the content generator installs on the chat
+  trace?: TraceRecorder;
+  execution?: Promise<TaskResult>;
+
+  private statusCallback?: (status: TaskStatus) => void;
+  private eventCallback: (event: TaskEvent) => void;
+  private logger: Logger;
+  private priorDuration = 0;
+
+  constructor(
+    request: TaskRequest,
+    statusCallback: ((status: TaskStatus) => void) | undefined,
+    eventCallback: (event: TaskEvent) => void,
+    logger: Logger,
+    resumedFrom?: TaskCheckpoint
+  ) {
+    this.sessionId = request.sessionId;
+    this.request = request;
+    this.statusCallback = statusCallback;
+    this.eventCallback = eventCallback;
+    this.logger = logger;
+    this.resumedFrom = resumedFrom;
+    this.status = {
+      sessionId: request.sessionId,
+      sessionState: 'initializing',
+      progress: { currentTurn: 0, maxTurns: 50, percentage: 0 },
+      currentAction: { type: 'thinking', description: 'Initializing...' },
+      toolCalls: [],
+      timestamp: new Date().toISOString()
+    };
+
+    // Continue counters and tool history from the last completed turn
+    if (resumedFrom) {
+      this.turnCount = resumedFrom.turnCount;
+      this.sessionTurnCount = resumedFrom.sessionTurnCount;
+      this.verificationRounds = resumedFrom.verificationRounds ?? 0;
+      this.resultData = resumedFrom.resultData;
+      this.extractedData = { ...resumedFrom.extractedData };
+      this.priorDuration = resumedFrom.totalDuration;
+      this.status.progress.currentTurn = resumedFrom.sessionTurnCount;
+      this.status.toolCalls = [...resumedFrom.toolCalls];
+      this.status.finalResult = resumedFrom.finalResult;
+    }
+  }
+
+  get signal(): AbortSignal {
+    return this.abortController.signal;
+  }
+
+  /**
+   * Total execution time, including time spent before a resume
+   */
+  elapsed(): number {
+    return this.priorDuration + Date.now() - this.startTime;
+  }
+
+  isRunning(): boolean {
+    return this.execution !== undefined;
+  }
+
+  /**
+   * The request without what is never persisted: the signal, credentials and callbacks
+   */
+  persistableRequest(): TaskCheckpoint['request'] {
+    const { abortSignal, auth, onToolApproval, ...request } = this.request;
+    return request;
+  }
+
+  updateStatus(partial: Partial<TaskStatus>): void {
+    this.status = { ...this.status, ...partial };
+    this.status.timestamp = new Date().toISOString();
+    this.statusCallback?.(this.status);
+  }
+
+  /**
+   * Settle the status on the terminal state matching the result, so every
+   * exit path (limits, fatal errors, cancellation) reads as finished
+   */
+  finish(result: TaskResult): void {
+    const finalResult = this.status.finalResult?.success === result.success
+      ? this.status.finalResult
+      : {
+          success: result.success,
+          outputPath: result.outputPath,
+          summary: result.executionSummary,
+          error: result.error
+        };
+    this.updateStatus({
+      sessionState: result.success ? 'completed' : result.cancelled ? 'cancelled' : 'error',
+      finalResult,
+      endTime: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Log with the session id and current turn attached
+   */
+  log(level: LogLevel, message: string, fields?: LogFields): void {
+    this.logger[level](message, { sessionId: this.sessionId, turn: this.sessionTurnCount, ...fields });
+  }
+
+  emitEvent(event: DistributiveOmit<TaskEvent, 'sessionId' | 'timestamp'>): void {
+    this.eventCallback({
+      ...event,
+      sessionId: this.sessionId,
+      timestamp: new Date().toISOString()
+    } as TaskEvent);
+  }
+
+  updateToolStatus(callId: string, update: Partial<TaskStatus['toolCalls'][0]>): void {
+    const existingIndex = this.status.toolCalls.findIndex(call => call.callId === callId);
+
+    if (existingIndex >= 0) {
+      this.status.toolCalls[existingIndex] = {
+        ...this.status.toolCalls[existingIndex],
+        ...update
+      };
+    } else {
+      this.status.toolCalls.push({
+        callId,
+        name: '',
+        args: {},
+        status: 'pending',
+        startTime: Date.now(),
+        ...update
+      });
+    }
+
+    this.updateStatus({});
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * AbortController that follows a parent signal and also aborts once `timeout`
+ * ms pass without a call to touch(). `timedOut` tells a timeout from a cancel.
+ */
+export class TimeoutController {
+  readonly timeout?: number;
+  timedOut = false;
+
+  private controller = new AbortController();
+  private parent: AbortSignal;
+  private timer?: NodeJS.Timeout;
+  private onParentAbort = () => this.controller.abort();
+
+  constructor(parent: AbortSignal, timeout?: number) {
+    this.parent = parent;
+    this.timeout = timeout && timeout > 0 ? timeout : undefined;
+
+    if (parent.aborted) {
+      this.controller.abort();
+    } else {
+      parent.addEventListener('abort', this.onParentAbort, { once: true });
+    }
+    this.touch();
+  }
+
+  get signal(): AbortSignal {
+    return this.controller.signal;
+  }
+
+  /**
+   * Restart the timer, e.g. when a stream chunk arrives
+   */
+  touch(): void {
+    if (this.timeout === undefined || this.controller.signal.aborted) {
+      return;
+    }
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timedOut = true;
+      this.controller.abort();
+    }, this.timeout);
+  }
+
+  dispose(): void {
+    clearTimeout(this.timer);
+    this.parent.removeEventListener('abort', this.onParentAbort);
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import type { Part } from '@google/genai';
+import type { ToolArtifact, ToolOutputPolicy } from '../types/types.js';
+
+/**
+ * Directory under workingDirectory that receives spilled tool outputs
+ */
+export const TOOL_OUTPUT_DIRECTORY = '.task-outputs';
+
+export interface LimitedToolOutput {
+  parts: Part[];            // Parts to send to the model
+  result?: string;          // Display text for the status
+  artifact?: ToolArtifact;
+}
+
+/**
+ * Applies a ToolOutputPolicy to successful tool responses: long outputs are
+ * cut to policy.maxChars and, when the policy asks for it, written in full
+ * to a file whose path is given to the model instead.
+ */
+export class ToolOutputLimiter {
+  constructor(private directory: string) {}
+
+  /**
+   * Returns undefined when the output fits within the policy
+   */
+  async limit(
+    callId: string,
+    toolName: string,
+    parts: Part[],
+    result: string | undefined,
+    policy: ToolOutputPolicy
+  ): Promise<LimitedToolOutput | undefined> {
+    const texts: string[] = [];
+    const otherParts: Part[] = [];
+    let functionResponse: Part['functionResponse'];
+    for (const part of parts) {
+      if (part.functionResponse && !functionResponse) {
+        functionResponse = part.functionResponse;
+        const response = part.functionResponse.response ?? {};
+        texts.push(typeof response.output === 'string' ? response.output : JSON.stringify(response));
+      } else if (typeof part.text === 'string') {
+        texts.push(part.text);
+      } else {
+        otherParts.push(part);
+      }
+    }
+
+    const output = texts.join('\n');
+    const resultTooLong = result !== undefined && result.length > policy.maxChars;
+    if (output.length <= policy.maxChars && !resultTooLong) {
+      return undefined;
+    }
+
+    let artifact: ToolArtifact | undefined;
+    if (policy.spill) {
+      artifact = await this.spill(callId, toolName, output);
+    }
+
+    let modelOutput = truncateText(output, policy);
+    if (artifact && modelOutput !== output) {
+      modelOutput += `\n[Full output (${artifact.size} characters) saved to ${artifact.path}]`;
+    }
+
+    return {
+      parts: [
+        {
+          functionResponse: {
+            id: functionResponse?.id ?? callId,
+            name: functionResponse?.name ?? toolName,
+            response: { output: modelOutput }
+          }
+        },
+        ...otherParts
+      ],
+      result: result === undefined ? undefined : truncateText(result, policy),
+      artifact
+    };
+  }
+
+  private async spill(callId: string, toolName: string, output: string): Promise<ToolArtifact> {
+    await mkdir(this.directory, { recursive: true });
+    const filePath = path.join(this.directory, `${encodeURIComponent(callId)}-${encodeURIComponent(toolName)}.txt`);
+    await writeFile(filePath, output, 'utf-8');
+    return { path: filePath, size: output.length };
+  }
+}
+
+/**
+ * Cut text to policy.maxChars, marking where characters were omitted
+ */
+export function truncateText(text: string, policy: ToolOutputPolicy): string {
+  const { maxChars } = policy;
+  if (text.length <= maxChars) {
+    return text;
+  }
+
+  const marker = `[... ${text.length - maxChars} characters omitted ...]`;
+  switch (policy.truncation ?? 'head_tail') {
+    case 'head':
+      return `${text.slice(0, maxChars)}\n${marker}`;
+    case 'tail':
+      return `${marker}\n${text.slice(text.length - maxChars)}`;
+    case 'head_tail': {
+      const head = Math.ceil(maxChars / 2);
+      const tail = maxChars - head;
+      return `${text.slice(0, head)}\n${marker}\n${tail > 0 ? text.slice(text.length - tail) : ''}`;
+    }
+  }
+}
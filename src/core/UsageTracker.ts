@@ -0,0 +1,87 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import type { GenerateContentResponseUsageMetadata } from '@google/genai';
+import type { TokenUsage, UsageSummary, ModelPricing } from '../types/types.js';
+
+/**
+ * Accumulates per-turn and total token usage of a session and prices it
+ * with the engine's price table when the model is listed there
+ */
+export class UsageTracker {
+  private summary: UsageSummary;
+  private pricing?: ModelPricing;
+
+  constructor(pricing?: ModelPricing, previous?: UsageSummary) {
+    this.pricing = pricing;
+    this.summary = previous
+      ? { total: { ...previous.total }, turns: [...previous.turns], cost: previous.cost }
+      : { total: UsageTracker.emptyUsage(), turns: [], cost: pricing ? 0 : undefined };
+  }
+
+  /**
+   * Record the usage reported for one model response
+   */
+  addTurn(turn: number, metadata: GenerateContentResponseUsageMetadata): void {
+    const usage: TokenUsage = {
+      promptTokens: metadata.promptTokenCount ?? 0,
+      candidatesTokens: metadata.candidatesTokenCount ?? 0,
+      cachedTokens: metadata.cachedContentTokenCount ?? 0,
+      thoughtsTokens: metadata.thoughtsTokenCount ?? 0,
+      totalTokens: metadata.totalTokenCount ?? 0
+    };
+    const cost = this.pricing ? this.calculateCost(usage, this.pricing) : undefined;
+
+    const total = this.summary.total;
+    this.summary = {
+      total: {
+        promptTokens: total.promptTokens + usage.promptTokens,
+        candidatesTokens: total.candidatesTokens + usage.candidatesTokens,
+        cachedTokens: total.cachedTokens + usage.cachedTokens,
+        thoughtsTokens: total.thoughtsTokens + usage.thoughtsTokens,
+        totalTokens: total.totalTokens + usage.totalTokens
+      },
+      turns: [...this.summary.turns, { turn, ...usage, cost }],
+      cost: cost !== undefined ? (this.summary.cost ?? 0) + cost : this.summary.cost
+    };
+  }
+
+  getSummary(): UsageSummary {
+    return this.summary;
+  }
+
+  private calculateCost(usage: TokenUsage, pricing: ModelPricing): number {
+    // Cached prompt tokens are billed at the cached rate, the rest at the input rate
+    const uncachedPrompt = Math.max(usage.promptTokens - usage.cachedTokens, 0);
+    const cost = uncachedPrompt * pricing.inputPerMillion
+      + usage.cachedTokens * (pricing.cachedInputPerMillion ?? pricing.inputPerMillion)
+      + usage.candidatesTokens * pricing.outputPerMillion
+      + usage.thoughtsTokens * (pricing.thoughtsPerMillion ?? pricing.outputPerMillion);
+    return cost / 1_000_000;
+  }
+
+  /**
+   * Find the price entry for a model: exact name first, then the longest
+   * matching prefix (so 'gemini-2.5-pro' also covers dated variants)
+   */
+  static findPricing(pricing: Record<string, ModelPricing> | undefined, model: string): ModelPricing | undefined {
+    if (!pricing) {
+      return undefined;
+    }
+    if (pricing[model]) {
+      return pricing[model];
+    }
+
+    const prefix = Object.keys(pricing)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? pricing[prefix] : undefined;
+  }
+
+  private static emptyUsage(): TokenUsage {
+    return { promptTokens: 0, candidatesTokens: 0, cachedTokens: 0, thoughtsTokens: 0, totalTokens: 0 };
+  }
+}
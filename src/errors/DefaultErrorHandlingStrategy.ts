@@ -0,0 +1,222 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import type {
+  ErrorHandlingStrategy,
+  ErrorContext,
+  ErrorClassification,
+  RecoveryAction,
+  TaskStrategy
+} from '../types/interfaces.js';
+
+// Patterns for recoverable API errors that the LLM can handle
+const RECOVERABLE_API_PATTERNS: Array<{ pattern: RegExp; category: ErrorClassification['category'] }> = [
+  { pattern: /token.*count.*exceeds.*maximum/i, category: 'context_length' },   // Token limit exceeded
+  { pattern: /input.*token.*count.*exceeds/i, category: 'context_length' },     // Input token limit
+  { pattern: /context.*length.*exceeded/i, category: 'context_length' },        // Context length issues
+  { pattern: /request.*too.*large/i, category: 'context_length' },              // Request size issues
+  { pattern: /rate.*limit.*exceeded/i, category: 'rate_limit' },                // Rate limiting (temporary)
+  { pattern: /quota.*exceeded/i, category: 'rate_limit' },                      // Quota issues (might be temporary)
+  { pattern: /resource.?exhausted/i, category: 'rate_limit' },                  // gRPC status for 429
+  { pattern: /service.*temporarily.*unavailable/i, category: 'server' },        // Temporary service issues
+  { pattern: /timeout/i, category: 'network' },                                 // Request timeouts
+  { pattern: /network.*error/i, category: 'network' },                          // Network connectivity issues
+  { pattern: /connection.*reset/i, category: 'network' },                       // Connection issues
+  { pattern: /socket.*hang.*up/i, category: 'network' },                        // Socket connection dropped
+  { pattern: /econnreset/i, category: 'network' },                              // Connection reset by peer
+  { pattern: /enotfound/i, category: 'network' },                               // DNS resolution failures
+  { pattern: /econnrefused/i, category: 'network' },                            // Connection refused (may be temporary)
+  { pattern: /etimedout/i, category: 'network' },                               // Network timeouts
+  { pattern: /temporary.*failure/i, category: 'server' }                        // Any temporary failure
+];
+
+// Tool errors that terminate the task when the task strategy defines no patterns
+const DEFAULT_FATAL_TOOL_PATTERN = /(ECONN|ETIMEDOUT|auth|permission|timeout|ECONNREFUSED)/i;
+
+// Retries per model request for transient API error categories
+const DEFAULT_RETRY_BUDGETS: RetryBudgets = {
+  rate_limit: 5,
+  network: 4,
+  server: 3
+};
+
+export type RetryBudgets = Partial<Record<ErrorClassification['category'], number>>;
+
+export interface DefaultErrorHandlingOptions {
+  retryBudgets?: RetryBudgets;   // Merged over the defaults; 0 disables retries for a category
+  baseRetryDelay?: number;       // First backoff delay in ms
+  maxRetryDelay?: number;        // Backoff cap in ms
+}
+
+/**
+ * Default error handling: transient API errors (rate limits, network, server)
+ * are retried with backoff within a per-category budget and terminate the task
+ * once it is used up; other recoverable API errors and non-fatal tool errors
+ * are fed back to the model, everything else terminates the task. Fatal tool
+ * error patterns come from the task strategy's getFatalErrorPatterns().
+ */
+export class DefaultErrorHandlingStrategy implements ErrorHandlingStrategy {
+  private taskStrategy?: TaskStrategy;
+  private retryBudgets: RetryBudgets;
+  private baseRetryDelay: number;
+  private maxRetryDelay: number;
+
+  constructor(taskStrategy?: TaskStrategy, options: DefaultErrorHandlingOptions = {}) {
+    this.taskStrategy = taskStrategy;
+    this.retryBudgets = { ...DEFAULT_RETRY_BUDGETS, ...options.retryBudgets };
+    this.baseRetryDelay = options.baseRetryDelay ?? 2000;
+    this.maxRetryDelay = options.maxRetryDelay ?? 60000;
+  }
+
+  classifyError(error: Error, context: ErrorContext): ErrorClassification {
+    const message = error.message;
+
+    if (context.source === 'api') {
+      const category = this.getApiCategory(error);
+      if (category) {
+        const shouldRetry = (this.retryBudgets[category] ?? 0) > 0;
+        return { severity: 'recoverable', category, shouldTerminate: false, shouldRetry };
+      }
+      return { severity: 'fatal', category: this.guessCategory(message), shouldTerminate: true, shouldRetry: false };
+    }
+
+    // Unknown tools are always reported back so the model can pick another one
+    if (message.includes('not found in registry')) {
+      return { severity: 'recoverable', category: 'tool', shouldTerminate: false, shouldRetry: false };
+    }
+
+    if (this.isFatalToolError(message)) {
+      return { severity: 'fatal', category: this.guessCategory(message), shouldTerminate: true, shouldRetry: false };
+    }
+
+    return { severity: 'recoverable', category: 'tool', shouldTerminate: false, shouldRetry: false };
+  }
+
+  shouldRetry(error: Error, attemptCount: number): boolean {
+    // Budgets are enforced through maxRetries on the recovery action
+    return true;
+  }
+
+  getRecoveryAction(error: Error, context?: ErrorContext): RecoveryAction {
+    if (context?.source !== 'api') {
+      return { type: 'feedback' };
+    }
+
+    const feedbackMessage = this.formatErrorForLLM(error.message);
+    const category = this.getApiCategory(error);
+    const budget = category ? this.retryBudgets[category] ?? 0 : 0;
+    if (budget <= 0) {
+      return { type: 'feedback', feedbackMessage };
+    }
+
+    return {
+      type: 'retry',
+      retryDelay: this.baseRetryDelay,
+      maxRetryDelay: this.maxRetryDelay,
+      retryAfter: category === 'rate_limit' ? this.getRetryAfter(error) : undefined,
+      maxRetries: budget,
+      onExhausted: 'terminate',
+      feedbackMessage
+    };
+  }
+
+  /**
+   * Server-requested delay in ms, from a Retry-After header or the RetryInfo
+   * detail ("retryDelay": "30s") that Gemini quota errors carry
+   */
+  private getRetryAfter(error: Error): number | undefined {
+    const headers = (error as any).response?.headers;
+    const header = typeof headers?.get === 'function'
+      ? headers.get('retry-after')
+      : headers?.['retry-after'];
+    if (header !== undefined && header !== null) {
+      const seconds = Number(header);
+      if (!isNaN(seconds)) {
+        return seconds * 1000;
+      }
+      const date = Date.parse(String(header));
+      if (!isNaN(date)) {
+        return Math.max(date - Date.now(), 0);
+      }
+    }
+
+    const retryInfo = error.message.match(/"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/)
+      || error.message.match(/retry (?:after|in) (\d+(?:\.\d+)?)\s*s/i);
+    if (retryInfo) {
+      return Math.round(parseFloat(retryInfo[1]) * 1000);
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Known message patterns win over the HTTP status, so a 400 whose token
+   * count happens to contain "5xx" digits stays a context_length error
+   */
+  private getApiCategory(error: Error): ErrorClassification['category'] | undefined {
+    const match = RECOVERABLE_API_PATTERNS.find(({ pattern }) => pattern.test(error.message));
+    if (match) {
+      return match.category;
+    }
+
+    const status = this.getHttpStatus(error);
+    if (status === 429) {
+      return 'rate_limit';
+    }
+    if (status !== undefined && status >= 500 && status < 600) {
+      return 'server';
+    }
+    return undefined;
+  }
+
+  private getHttpStatus(error: Error): number | undefined {
+    const candidates = [(error as any).status, (error as any).code, (error as any).response?.status];
+    const status = candidates.find(value => typeof value === 'number');
+    if (status !== undefined) {
+      return status;
+    }
+
+    // Only a number labelled as a status counts, e.g. "got status: 503" or "code": 429
+    const match = error.message.match(/\b(?:status|code)\b["']?\s*[:=]?\s*(\d{3})\b/i);
+    return match ? Number(match[1]) : undefined;
+  }
+
+  private isFatalToolError(message: string): boolean {
+    if (this.taskStrategy) {
+      return this.taskStrategy.getFatalErrorPatterns().some(pattern => pattern.test(message));
+    }
+    return DEFAULT_FATAL_TOOL_PATTERN.test(message);
+  }
+
+  private guessCategory(message: string): ErrorClassification['category'] {
+    if (/auth|permission|unauthori[sz]ed|forbidden|401|403/i.test(message)) {
+      return 'auth';
+    }
+    if (/timeout|network|connection|socket|econn|enotfound|etimedout/i.test(message)) {
+      return 'network';
+    }
+    return 'unknown';
+  }
+
+  private formatErrorForLLM(errorMessage: string): string {
+    // Match Gemini CLI's concise error format
+    if (/token.*count.*exceeds/i.test(errorMessage)) {
+      return `✕ [API Error: Token limit exceeded]\n\nConsider using smaller parameters (e.g., maxResults: "50" instead of "0") or processing data in chunks.`;
+    } 
+    
+    if (/rate.*limit|quota.*exceeded/i.test(errorMessage)) {
+      return `✕ [API Error: Rate/quota limit exceeded]\n\nTry using fewer API calls or wait before retrying.`;
+    } 
+    
+    if (/timeout|network.*error|connection|socket.*hang.*up|econnreset|enotfound|econnrefused|etimedout/i.test(errorMessage)) {
+      return `✕ [Network Error: Connection issue detected]\n\nThis appears to be a temporary network problem. Retrying the same operation...`;
+    }
+    
+    // Extract the core error message for display
+    const coreError = errorMessage.replace(/^Error:\s*/i, '').split('\n')[0];
+    return `✕ [API Error: ${coreError}]`;
+  }
+}
@@ -0,0 +1,8 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+export { DefaultErrorHandlingStrategy } from './DefaultErrorHandlingStrategy.js';
+export type { DefaultErrorHandlingOptions, RetryBudgets } from './DefaultErrorHandlingStrategy.js';
@@ -22,6 +22,20 @@ export type {
   ErrorContext,
   ErrorClassification,
   RecoveryAction,
+  SessionStore,
+  TaskCheckpoint,
+  TaskExecutionState,
+  ToolClass,
+  Logger,
+  LogLevel,
+  LogFields,
+  TraceEntry,
+  TraceChunk,
+  CompletionContext,
+  CompletionVerification,
+  ContinuationPolicy,
+  ContinuationContext,
+  ContinuationDecision,
 } from './types/interfaces.js';
 
 export type {
@@ -30,7 +44,39 @@ export type {
   TaskResult,
   TaskEngineOptions,
   ThoughtSummary,
+  McpServerRequest,
+  TokenUsage,
+  UsageSummary,
+  ModelPricing,
+  TaskEvent,
+  TaskEventType,
+  TaskExecution,
+  AuthOptions,
+  ApprovalModeName,
+  ToolApprovalRequest,
+  ToolApprovalDecision,
+  ToolApprovalHandler,
+  ContextCompressionOptions,
+  ContextCompression,
+  ContextStatus,
+  ToolOutputPolicy,
+  ToolArtifact,
 } from './types/types.js';
 
 // Default implementations
-export { DefaultConfigurationBuilder, SimplePromptBuilder } from './builders/index.js';
\ No newline at end of file
+export { DefaultConfigurationBuilder, SimplePromptBuilder } from './builders/index.js';
+export { FileSystemSessionStore } from './stores/index.js';
+export { WorkflowProgressTracker } from './progress/index.js';
+export type { WorkflowProgressOptions } from './progress/index.js';
+export { DefaultErrorHandlingStrategy } from './errors/index.js';
+export type { DefaultErrorHandlingOptions, RetryBudgets } from './errors/index.js';
+export {
+  NextSpeakerContinuationPolicy,
+  NudgeContinuationPolicy,
+  StrategyContinuationPolicy,
+  FailContinuationPolicy
+} from './continuation/index.js';
+export type { NudgeContinuationOptions } from './continuation/index.js';
+export { silentLogger, ConsoleLogger, fromPino, fromWinston } from './logging/index.js';
+export type { PinoLike, WinstonLike } from './logging/index.js';
+export { readTrace, traceFilePath } from './tracing/index.js';
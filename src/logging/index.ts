@@ -0,0 +1,8 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+export { silentLogger, ConsoleLogger, fromPino, fromWinston } from './loggers.js';
+export type { PinoLike, WinstonLike } from './loggers.js';
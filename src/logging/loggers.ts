@@ -0,0 +1,92 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import type { Logger, LogFields, LogLevel } from '../types/interfaces.js';
+
+const LEVEL_ORDER: Record<LogLevel, number> = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Discards everything; the engine's default so library users get no output
+ */
+export const silentLogger: Logger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+/**
+ * Writes entries at or above `level` to the console, fields as trailing JSON
+ */
+export class ConsoleLogger implements Logger {
+  private minLevel: number;
+
+  constructor(level: LogLevel = 'info') {
+    this.minLevel = LEVEL_ORDER[level];
+  }
+
+  debug(message: string, fields?: LogFields): void {
+    this.write('debug', message, fields);
+  }
+
+  info(message: string, fields?: LogFields): void {
+    this.write('info', message, fields);
+  }
+
+  warn(message: string, fields?: LogFields): void {
+    this.write('warn', message, fields);
+  }
+
+  error(message: string, fields?: LogFields): void {
+    this.write('error', message, fields);
+  }
+
+  private write(level: LogLevel, message: string, fields?: LogFields): void {
+    if (LEVEL_ORDER[level] < this.minLevel) {
+      return;
+    }
+    const suffix = fields && Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    const line = `[TaskEngine] ${message}${suffix}`;
+    if (level === 'error') {
+      console.error(line);
+    } else if (level === 'warn') {
+      console.warn(line);
+    } else {
+      console.log(line);
+    }
+  }
+}
+
+// Minimal shapes of the pino and winston loggers, so neither is a dependency
+type PinoLogMethod = (fields: object, message: string) => void;
+export type PinoLike = Record<LogLevel, PinoLogMethod>;
+
+type WinstonLogMethod = (message: string, meta?: object) => unknown;
+export type WinstonLike = Record<LogLevel, WinstonLogMethod>;
+
+/**
+ * Adapt a pino logger (fields first, then message)
+ */
+export function fromPino(pino: PinoLike): Logger {
+  return {
+    debug: (message, fields = {}) => pino.debug(fields, message),
+    info: (message, fields = {}) => pino.info(fields, message),
+    warn: (message, fields = {}) => pino.warn(fields, message),
+    error: (message, fields = {}) => pino.error(fields, message)
+  };
+}
+
+/**
+ * Adapt a winston logger (message first, then metadata)
+ */
+export function fromWinston(winston: WinstonLike): Logger {
+  return {
+    debug: (message, fields) => winston.debug(message, fields),
+    info: (message, fields) => winston.info(message, fields),
+    warn: (message, fields) => winston.warn(message, fields),
+    error: (message, fields) => winston.error(message, fields)
+  };
+}
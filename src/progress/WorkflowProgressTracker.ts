@@ -0,0 +1,170 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import type {
+  ProgressTracker,
+  ProgressInfo,
+  TaskExecutionState,
+  TaskWorkflowStep,
+  ToolCall
+} from '../types/interfaces.js';
+
+export interface WorkflowProgressOptions {
+  // 'cumulative' (default): each weight is the percentage reached once the step
+  // is done. 'relative': each weight is the step's share of the total.
+  weights?: 'cumulative' | 'relative';
+}
+
+/**
+ * Progress tracker driven by the strategy's workflow steps.
+ *
+ * A step is completed once a tool call with the step's name has completed and
+ * all of its dependencies are completed. An optional step counts as skipped,
+ * and leaves the total, once a later step completes or every required step is
+ * done. The remaining time is extrapolated from the time observed per
+ * completed weight.
+ */
+export class WorkflowProgressTracker implements ProgressTracker {
+  private steps?: TaskWorkflowStep[];
+  private weights: 'cumulative' | 'relative';
+  private progress: ProgressInfo = WorkflowProgressTracker.emptyProgress();
+
+  /**
+   * @param steps Workflow steps to track; defaults to strategy.getWorkflowSteps()
+   */
+  constructor(steps?: TaskWorkflowStep[], options: WorkflowProgressOptions = {}) {
+    this.steps = steps;
+    this.weights = options.weights ?? 'cumulative';
+  }
+
+  updateProgress(state: TaskExecutionState): ProgressInfo {
+    const steps = this.steps ?? state.strategy?.getWorkflowSteps() ?? [];
+    if (steps.length === 0) {
+      return this.progress;
+    }
+
+    const completionTimes = this.getStepCompletionTimes(steps, state.toolCalls);
+    const skipped = this.getSkippedSteps(steps, completionTimes);
+    const countedSteps = steps.filter(step => !skipped.has(step.name));
+    const completedSteps = countedSteps.filter(step => completionTimes.has(step.name));
+    const remainingSteps = countedSteps.filter(step => !completionTimes.has(step.name));
+
+    // A cumulative weight is the milestone a step reaches, so the furthest step counts
+    const measure = (list: TaskWorkflowStep[]) => this.weights === 'relative'
+      ? list.reduce((sum, step) => sum + Math.max(step.weight, 0), 0)
+      : Math.max(0, ...list.map(step => step.weight));
+    const totalWeight = measure(countedSteps);
+    const completedWeight = measure(completedSteps);
+    const percentage = totalWeight > 0
+      ? Math.round((completedWeight / totalWeight) * 100)
+      : Math.round((completedSteps.length / countedSteps.length) * 100);
+
+    // Next step to work on: the first remaining one whose dependencies are met
+    const currentStep = remainingSteps.find(step =>
+      (step.dependencies ?? []).every(dependency => completionTimes.has(dependency))
+    );
+
+    this.progress = {
+      percentage,
+      currentStep: currentStep?.name,
+      estimatedTimeRemaining: this.estimateTimeRemaining(
+        state.toolCalls,
+        completionTimes,
+        completedWeight,
+        totalWeight - completedWeight
+      ),
+      completedSteps: completedSteps.map(step => step.name),
+      remainingSteps: remainingSteps.map(step => step.name)
+    };
+
+    return this.progress;
+  }
+
+  getCurrentProgress(): ProgressInfo {
+    return this.progress;
+  }
+
+  reset(): void {
+    this.progress = WorkflowProgressTracker.emptyProgress();
+  }
+
+  /**
+   * Resolve completion time per step, only counting a step once everything it
+   * depends on is completed as well
+   */
+  private getStepCompletionTimes(steps: TaskWorkflowStep[], toolCalls: ToolCall[]): Map<string, number> {
+    const finishedAt = new Map<string, number>();
+    for (const call of toolCalls) {
+      if (call.status !== 'completed') {
+        continue;
+      }
+      const endTime = call.startTime + (call.duration ?? 0);
+      const previous = finishedAt.get(call.name);
+      if (previous === undefined || endTime < previous) {
+        finishedAt.set(call.name, endTime);
+      }
+    }
+
+    const completed = new Map<string, number>();
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const step of steps) {
+        const endTime = finishedAt.get(step.name);
+        if (completed.has(step.name) || endTime === undefined) {
+          continue;
+        }
+        if ((step.dependencies ?? []).every(dependency => completed.has(dependency))) {
+          completed.set(step.name, endTime);
+          changed = true;
+        }
+      }
+    }
+
+    return completed;
+  }
+
+  /**
+   * Optional steps that will not run: a later step has completed without
+   * them, or every required step is already done
+   */
+  private getSkippedSteps(steps: TaskWorkflowStep[], completionTimes: Map<string, number>): Set<string> {
+    const required = steps.filter(step => step.isRequired);
+    const requiredDone = required.length > 0 && required.every(step => completionTimes.has(step.name));
+
+    return new Set(steps
+      .filter((step, index) => !step.isRequired && !completionTimes.has(step.name) &&
+        (requiredDone || steps.slice(index + 1).some(later => completionTimes.has(later.name))))
+      .map(step => step.name));
+  }
+
+  private estimateTimeRemaining(
+    toolCalls: ToolCall[],
+    completionTimes: Map<string, number>,
+    completedWeight: number,
+    remainingWeight: number
+  ): number | undefined {
+    if (remainingWeight <= 0) {
+      return 0;
+    }
+    if (completedWeight <= 0 || toolCalls.length === 0) {
+      return undefined;
+    }
+
+    const startedAt = Math.min(...toolCalls.map(call => call.startTime));
+    const lastCompletion = Math.max(...completionTimes.values());
+    const observed = lastCompletion - startedAt;
+    if (observed <= 0) {
+      return undefined;
+    }
+
+    return Math.round((observed / completedWeight) * remainingWeight);
+  }
+
+  private static emptyProgress(): ProgressInfo {
+    return { percentage: 0, completedSteps: [], remainingSteps: [] };
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import type { SessionStore, TaskCheckpoint } from '../types/interfaces.js';
+
+const CHECKPOINT_SUFFIX = '.checkpoint.json';
+
+/**
+ * Session store that keeps one JSON checkpoint file per session in a directory
+ */
+export class FileSystemSessionStore implements SessionStore {
+  private directory: string;
+
+  constructor(directory: string) {
+    this.directory = directory;
+  }
+
+  async save(checkpoint: TaskCheckpoint): Promise<void> {
+    await fs.mkdir(this.directory, { recursive: true });
+    
+    // Write to a temp file first so a crash mid-write never corrupts the checkpoint
+    const filePath = this.getFilePath(checkpoint.sessionId);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(checkpoint), 'utf-8');
+    await fs.rename(tempPath, filePath);
+  }
+
+  async load(sessionId: string): Promise<TaskCheckpoint | undefined> {
+    try {
+      const content = await fs.readFile(this.getFilePath(sessionId), 'utf-8');
+      return JSON.parse(content) as TaskCheckpoint;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        return undefined;
+      }
+      throw error;
+    }
+  }
+
+  async delete(sessionId: string): Promise<void> {
+    await fs.rm(this.getFilePath(sessionId), { force: true });
+  }
+
+  async list(): Promise<string[]> {
+    let entries: string[];
+    try {
+      entries = await fs.readdir(this.directory);
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return entries
+      .filter(entry => entry.endsWith(CHECKPOINT_SUFFIX))
+      .map(entry => decodeURIComponent(entry.slice(0, -CHECKPOINT_SUFFIX.length)));
+  }
+
+  private getFilePath(sessionId: string): string {
+    // Session ids are caller-provided, keep them from escaping the directory
+    return path.join(this.directory, `${encodeURIComponent(sessionId)}${CHECKPOINT_SUFFIX}`);
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import {
+  BaseDeclarativeTool,
+  BaseToolInvocation,
+  Icon,
+  type ToolCallConfirmationDetails,
+  type ToolInvocation,
+  type ToolResult
+} from '@google/gemini-cli-core';
+
+type FakeToolArgs = Record<string, unknown>;
+
+export interface FakeToolOptions {
+  description?: string;
+  parameters?: Record<string, unknown>;   // JSON schema of the arguments (default: any object)
+  requiresApproval?: boolean;             // Ask for confirmation outside yolo mode
+  /**
+   * Produces the tool result. Strings are returned as is, other values as
+   * JSON; a thrown error becomes a failed tool call.
+   */
+  handler?: (args: FakeToolArgs, signal: AbortSignal) => unknown | Promise<unknown>;
+}
+
+/**
+ * In-memory tool for tests. Every call's arguments are kept in `calls`.
+ */
+export class FakeTool extends BaseDeclarativeTool<FakeToolArgs, ToolResult> {
+  readonly calls: FakeToolArgs[] = [];
+  readonly options: FakeToolOptions;
+
+  constructor(name: string, options: FakeToolOptions = {}) {
+    super(
+      name,
+      name,
+      options.description ?? `Fake tool ${name}`,
+      Icon.Hammer,
+      options.parameters ?? { type: 'object', properties: {} }
+    );
+    this.options = options;
+  }
+
+  protected createInvocation(params: FakeToolArgs): ToolInvocation<FakeToolArgs, ToolResult> {
+    return new FakeToolInvocation(this, params);
+  }
+}
+
+class FakeToolInvocation extends BaseToolInvocation<FakeToolArgs, ToolResult> {
+  private tool: FakeTool;
+
+  constructor(tool: FakeTool, params: FakeToolArgs) {
+    super(params);
+    this.tool = tool;
+  }
+
+  getDescription(): string {
+    return `${this.tool.name} ${JSON.stringify(this.params)}`;
+  }
+
+  async shouldConfirmExecute(): Promise<ToolCallConfirmationDetails | false> {
+    if (!this.tool.options.requiresApproval) {
+      return false;
+    }
+    return {
+      type: 'info',
+      title: `Run ${this.tool.name}`,
+      prompt: this.getDescription(),
+      onConfirm: async () => {}
+    };
+  }
+
+  async execute(signal: AbortSignal): Promise<ToolResult> {
+    this.tool.calls.push(this.params);
+    try {
+      const value = await this.tool.options.handler?.(this.params, signal);
+      const output = typeof value === 'string' ? value : JSON.stringify(value ?? { ok: true });
+      return { llmContent: output, returnDisplay: output };
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      return { llmContent: `Error: ${message}`, returnDisplay: message, error: { message } };
+    }
+  }
+}
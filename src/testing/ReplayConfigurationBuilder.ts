@@ -0,0 +1,63 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import type { TaskCheckpoint, TraceEntry } from '../types/interfaces.js';
+import { readTrace } from '../tracing/index.js';
+import { FakeTool } from './FakeTool.js';
+import { ReplayContentGenerator } from './ReplayContentGenerator.js';
+import { ScriptedConfigurationBuilder } from './ScriptedConfigurationBuilder.js';
+
+type ToolResultEntry = Extract<TraceEntry, { type: 'tool_result' }>;
+
+/**
+ * Configuration builder that replays a recorded session: the model answers
+ * with the recorded responses and each tool returns its recorded results in
+ * order. Queues are consumed, so use one builder per replay.
+ */
+export class ReplayConfigurationBuilder extends ScriptedConfigurationBuilder {
+  readonly request?: TaskCheckpoint['request']; // The recorded request, to run the replay with
+
+  constructor(entries: TraceEntry[]) {
+    super({ model: new ReplayContentGenerator(entries), tools: createReplayTools(entries) });
+    this.request = entries.find(
+      (entry): entry is Extract<TraceEntry, { type: 'session_started' }> => entry.type === 'session_started'
+    )?.request;
+  }
+
+  static async fromFile(filePath: string): Promise<ReplayConfigurationBuilder> {
+    return new ReplayConfigurationBuilder(await readTrace(filePath));
+  }
+}
+
+/**
+ * One fake tool per recorded tool name, returning that tool's results in order
+ */
+function createReplayTools(entries: TraceEntry[]): FakeTool[] {
+  const results = new Map<string, ToolResultEntry[]>();
+  for (const entry of entries) {
+    if (entry.type === 'tool_result') {
+      results.set(entry.name, [...(results.get(entry.name) ?? []), entry]);
+    }
+  }
+
+  return Array.from(results, ([name, queue]) => new FakeTool(name, {
+    description: `Replayed tool ${name}`,
+    handler: async (_args, signal) => {
+      const result = queue.shift();
+      if (!result) {
+        throw new Error(`Trace exhausted: no recorded result for tool ${name}`);
+      }
+      if (result.timedOut) {
+        // Hang like the original call until the tool timeout aborts it
+        await new Promise<void>(resolve => signal.addEventListener('abort', () => resolve(), { once: true }));
+      }
+      if (result.error !== undefined || result.timedOut) {
+        throw new Error(result.error ?? 'Tool timed out');
+      }
+      return result.output ?? '';
+    }
+  }));
+}
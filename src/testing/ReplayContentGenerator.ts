@@ -0,0 +1,113 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import type { ContentGenerator } from '@google/gemini-cli-core';
+import { GenerateContentResponse } from '@google/genai';
+import type { TraceChunk, TraceEntry } from '../types/interfaces.js';
+
+type ModelResponse = Awaited<ReturnType<ContentGenerator['generateContent']>>;
+
+interface RecordedRequest {
+  chunks: TraceChunk[];
+  error?: { message: string; status?: number };
+  completed: boolean;          // false when the original request stalled
+}
+
+/**
+ * Model that answers with the responses recorded in a trace, in order.
+ * Stream and side requests (such as the next-speaker check) are replayed
+ * from separate queues.
+ */
+export class ReplayContentGenerator implements ContentGenerator {
+  private streams: RecordedRequest[] = [];
+  private sideRequests: RecordedRequest[] = [];
+
+  constructor(entries: TraceEntry[]) {
+    // Request ids restart with every (resumed) session in the trace
+    let requests = new Map<number, RecordedRequest>();
+    for (const entry of entries) {
+      if (entry.type === 'session_started') {
+        requests = new Map();
+      } else if (entry.type === 'model_request') {
+        const request: RecordedRequest = { chunks: [], completed: false };
+        requests.set(entry.requestId, request);
+        (entry.kind === 'stream' ? this.streams : this.sideRequests).push(request);
+      } else if (entry.type === 'model_chunk') {
+        requests.get(entry.requestId)?.chunks.push(entry.chunk);
+      } else if (entry.type === 'model_end' || entry.type === 'model_error') {
+        const request = requests.get(entry.requestId);
+        if (request) {
+          request.completed = true;
+          request.error = entry.type === 'model_error' ? entry.error : undefined;
+        }
+      }
+    }
+  }
+
+  /**
+   * Number of recorded stream requests not yet replayed
+   */
+  get remaining(): number {
+    return this.streams.length;
+  }
+
+  async generateContentStream(
+    ...[request]: Parameters<ContentGenerator['generateContentStream']>
+  ): ReturnType<ContentGenerator['generateContentStream']> {
+    const recorded = this.streams.shift();
+    if (!recorded) {
+      throw new Error('Trace exhausted: no recorded response for this model request');
+    }
+    if (recorded.error && recorded.chunks.length === 0) {
+      throw this.toError(recorded.error);
+    }
+    return this.replay(recorded, request.config?.abortSignal);
+  }
+
+  async generateContent(): ReturnType<ContentGenerator['generateContent']> {
+    const recorded = this.sideRequests.shift();
+    if (!recorded) {
+      throw new Error('Trace exhausted: no recorded response for this side request');
+    }
+    if (recorded.error) {
+      throw this.toError(recorded.error);
+    }
+    return this.toResponse(recorded.chunks[0] ?? {});
+  }
+
+  async countTokens(
+    ...[request]: Parameters<ContentGenerator['countTokens']>
+  ): ReturnType<ContentGenerator['countTokens']> {
+    // Rough estimate of four characters per token
+    return { totalTokens: Math.ceil(JSON.stringify(request.contents ?? '').length / 4) };
+  }
+
+  async embedContent(): ReturnType<ContentGenerator['embedContent']> {
+    throw new Error('ReplayContentGenerator does not support embeddings');
+  }
+
+  private async *replay(recorded: RecordedRequest, signal?: AbortSignal): AsyncGenerator<ModelResponse> {
+    for (const chunk of recorded.chunks) {
+      yield this.toResponse(chunk);
+    }
+    if (recorded.error) {
+      throw this.toError(recorded.error);
+    }
+    if (!recorded.completed) {
+      // Stall like the original stream did, until the request is aborted
+      await new Promise<void>(resolve => signal?.addEventListener('abort', () => resolve(), { once: true }));
+      throw new Error('Operation cancelled.');
+    }
+  }
+
+  private toResponse(chunk: TraceChunk): ModelResponse {
+    return Object.assign(new GenerateContentResponse(), chunk) as ModelResponse;
+  }
+
+  private toError(error: { message: string; status?: number }): Error {
+    return Object.assign(new Error(error.message), error.status !== undefined ? { status: error.status } : {});
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import {
+  Config,
+  GeminiClient,
+  ToolRegistry,
+  type ConfigParameters,
+  type ContentGenerator
+} from '@google/gemini-cli-core';
+import { DefaultConfigurationBuilder } from '../builders/DefaultConfigurationBuilder.js';
+import { ScriptedContentGenerator, type ScriptedResponse } from './ScriptedContentGenerator.js';
+import type { FakeTool } from './FakeTool.js';
+
+export interface ScriptedConfigurationOptions {
+  model: ContentGenerator | ScriptedResponse[]; // A script is wrapped in a ScriptedContentGenerator
+  tools?: FakeTool[];                           // The only tools the model can call
+}
+
+/**
+ * Configuration builder for tests: sessions talk to the given model instead of
+ * Gemini, see only the given tools, and need no authentication. MCP servers of
+ * the request are ignored.
+ */
+export class ScriptedConfigurationBuilder extends DefaultConfigurationBuilder {
+  readonly model: ContentGenerator;
+  private tools: FakeTool[];
+
+  constructor(options: ScriptedConfigurationOptions) {
+    super();
+    this.model = Array.isArray(options.model) ? new ScriptedContentGenerator(options.model) : options.model;
+    this.tools = options.tools ?? [];
+  }
+
+  protected createConfig(parameters: ConfigParameters): Config {
+    return new ScriptedConfig({
+      ...parameters,
+      mcpServers: undefined,
+      telemetry: { enabled: false },
+      usageStatisticsEnabled: false
+    }, this.model, this.tools);
+  }
+}
+
+class ScriptedConfig extends Config {
+  private scriptedClient?: GeminiClient;
+
+  constructor(
+    parameters: ConfigParameters,
+    private readonly scriptedModel: ContentGenerator,
+    private readonly scriptedTools: FakeTool[]
+  ) {
+    super(parameters);
+  }
+
+  async createToolRegistry(): Promise<ToolRegistry> {
+    const registry = new ToolRegistry(this);
+    this.scriptedTools.forEach(tool => registry.registerTool(tool));
+    return registry;
+  }
+
+  // Any auth method works offline; the client is bound to the scripted model
+  async refreshAuth(): Promise<void> {
+    const client = new ScriptedGeminiClient(this, this.scriptedModel);
+    await client.initialize();
+    this.scriptedClient = client;
+  }
+
+  getGeminiClient(): GeminiClient {
+    if (!this.scriptedClient) {
+      throw new Error('refreshAuth must be called before getGeminiClient');
+    }
+    return this.scriptedClient;
+  }
+}
+
+class ScriptedGeminiClient extends GeminiClient {
+  constructor(config: Config, private readonly scriptedModel: ContentGenerator) {
+    super(config);
+  }
+
+  async initialize(): Promise<void> {
+    await this.resetChat();
+  }
+
+  getContentGenerator(): ContentGenerator {
+    return this.scriptedModel;
+  }
+}
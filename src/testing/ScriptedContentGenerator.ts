@@ -0,0 +1,145 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import type { ContentGenerator } from '@google/gemini-cli-core';
+import { GenerateContentResponse } from '@google/genai';
+import type { Part } from '@google/genai';
+
+type ModelRequest = Parameters<ContentGenerator['generateContentStream']>[0];
+type ModelResponse = Awaited<ReturnType<ContentGenerator['generateContent']>>;
+
+/**
+ * One scripted model response
+ */
+export interface ScriptedTurn {
+  thoughts?: string[];           // Thought summaries, streamed before the text
+  parts?: Part[];                // Raw parts sent as one chunk after the thoughts, e.g. a thought with text
+  text?: string | string[];      // Text, one chunk per array entry
+  functionCalls?: Array<{ name: string; args?: Record<string, unknown>; id?: string }>;
+  error?: unknown;               // Fail the request with this error instead of responding
+  usage?: GenerateContentResponse['usageMetadata'];
+  delay?: number;                // Milliseconds before the response starts
+  stall?: number;                // Milliseconds to pause after the text, before the function calls
+  streamError?: unknown;         // Fail the stream with this error after the text
+}
+
+/**
+ * A step of the script; functions see the request, e.g. to answer tool results
+ */
+export type ScriptedResponse = ScriptedTurn | ((request: ModelRequest) => ScriptedTurn);
+
+export interface ScriptedContentGeneratorOptions {
+  nextSpeaker?: 'user' | 'model'; // Answer to the next-speaker check after a text-only turn (default 'user')
+  summary?: string;               // Answer to history compression requests
+}
+
+/**
+ * Offline model for tests: each streamed request consumes the next step of
+ * the script. Requests are recorded so tests can inspect what was sent.
+ */
+export class ScriptedContentGenerator implements ContentGenerator {
+  readonly requests: ModelRequest[] = [];
+
+  private script: ScriptedResponse[];
+  private nextSpeaker: 'user' | 'model';
+  private summary: string;
+
+  constructor(script: ScriptedResponse[], options: ScriptedContentGeneratorOptions = {}) {
+    this.script = [...script];
+    this.nextSpeaker = options.nextSpeaker ?? 'user';
+    this.summary = options.summary ?? '<state_snapshot>Scripted summary</state_snapshot>';
+  }
+
+  /**
+   * Number of steps not yet consumed
+   */
+  get remaining(): number {
+    return this.script.length;
+  }
+
+  async generateContentStream(
+    ...[request]: Parameters<ContentGenerator['generateContentStream']>
+  ): ReturnType<ContentGenerator['generateContentStream']> {
+    this.requests.push(request);
+    const step = this.script.shift();
+    if (!step) {
+      throw new Error(`Script exhausted: no response for model request ${this.requests.length}`);
+    }
+
+    const turn = typeof step === 'function' ? step(request) : step;
+    if (turn.delay) {
+      await new Promise(resolve => setTimeout(resolve, turn.delay));
+    }
+    if (turn.error !== undefined) {
+      throw turn.error;
+    }
+    return this.stream(turn);
+  }
+
+  /**
+   * Side requests: the next-speaker check (JSON) and history compression
+   */
+  async generateContent(
+    ...[request]: Parameters<ContentGenerator['generateContent']>
+  ): ReturnType<ContentGenerator['generateContent']> {
+    if (!request.config?.responseJsonSchema) {
+      return this.response([{ text: this.summary }]);
+    }
+    return this.response([{
+      text: JSON.stringify({ reasoning: 'Scripted answer', next_speaker: this.nextSpeaker })
+    }]);
+  }
+
+  async countTokens(
+    ...[request]: Parameters<ContentGenerator['countTokens']>
+  ): ReturnType<ContentGenerator['countTokens']> {
+    // Rough estimate of four characters per token
+    return { totalTokens: Math.ceil(JSON.stringify(request.contents ?? '').length / 4) };
+  }
+
+  async embedContent(): ReturnType<ContentGenerator['embedContent']> {
+    throw new Error('ScriptedContentGenerator does not support embeddings');
+  }
+
+  private async *stream(turn: ScriptedTurn): AsyncGenerator<ModelResponse> {
+    for (const thought of turn.thoughts ?? []) {
+      yield this.response([{ text: thought, thought: true }]);
+    }
+    if (turn.parts) {
+      yield this.response(turn.parts);
+    }
+
+    const chunks = typeof turn.text === 'string' ? [turn.text] : turn.text ?? [];
+    for (const text of chunks) {
+      yield this.response([{ text }]);
+    }
+
+    if (turn.stall) {
+      await new Promise(resolve => setTimeout(resolve, turn.stall));
+    }
+    if (turn.streamError !== undefined) {
+      throw turn.streamError;
+    }
+
+    const calls = turn.functionCalls ?? [];
+    if (calls.length > 0) {
+      yield this.response(calls.map(call => ({
+        functionCall: { id: call.id, name: call.name, args: call.args ?? {} }
+      })));
+    }
+
+    // Usage arrives on a final chunk without content, as with the real API
+    if (turn.usage) {
+      yield Object.assign(new GenerateContentResponse(), { usageMetadata: turn.usage }) as ModelResponse;
+    }
+  }
+
+  private response(parts: Part[]): ModelResponse {
+    return Object.assign(new GenerateContentResponse(), {
+      candidates: [{ content: { role: 'model', parts }, index: 0 }]
+    }) as ModelResponse;
+  }
+}
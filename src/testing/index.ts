@@ -0,0 +1,14 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+export { ScriptedContentGenerator } from './ScriptedContentGenerator.js';
+export type { ScriptedTurn, ScriptedResponse, ScriptedContentGeneratorOptions } from './ScriptedContentGenerator.js';
+export { FakeTool } from './FakeTool.js';
+export type { FakeToolOptions } from './FakeTool.js';
+export { ScriptedConfigurationBuilder } from './ScriptedConfigurationBuilder.js';
+export type { ScriptedConfigurationOptions } from './ScriptedConfigurationBuilder.js';
+export { ReplayContentGenerator } from './ReplayContentGenerator.js';
+export { ReplayConfigurationBuilder } from './ReplayConfigurationBuilder.js';
@@ -0,0 +1,88 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { createWriteStream, mkdirSync, promises as fs, type WriteStream } from 'fs';
+import path from 'path';
+import type { TraceEntry } from '../types/interfaces.js';
+
+const TRACE_SUFFIX = '.trace.jsonl';
+
+type DistributiveOmit<T, K extends PropertyKey> = T extends unknown ? Omit<T, K> : never;
+export type TraceRecord = DistributiveOmit<TraceEntry, 'seq' | 'time' | 'sessionId' | 'turn'>;
+
+/**
+ * Trace file of a session in a trace directory
+ */
+export function traceFilePath(directory: string, sessionId: string): string {
+  // Session ids are caller-provided, keep them from escaping the directory
+  return path.join(directory, `${encodeURIComponent(sessionId)}${TRACE_SUFFIX}`);
+}
+
+/**
+ * Read all entries of a trace file
+ */
+export async function readTrace(filePath: string): Promise<TraceEntry[]> {
+  const content = await fs.readFile(filePath, 'utf-8');
+  return content
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .map(line => JSON.parse(line) as TraceEntry);
+}
+
+/**
+ * Appends the trace entries of one session to a JSONL file. A resumed
+ * session appends to the same file. Write failures are reported once and
+ * never fail the task.
+ */
+export class TraceRecorder {
+  private stream?: WriteStream;
+  private seq = 0;
+  private requestCount = 0;
+  private sessionId: string;
+  private turn: () => number;
+
+  constructor(filePath: string, sessionId: string, turn: () => number, onError: (error: Error) => void) {
+    this.sessionId = sessionId;
+    this.turn = turn;
+    try {
+      mkdirSync(path.dirname(filePath), { recursive: true });
+      this.stream = createWriteStream(filePath, { flags: 'a' });
+      this.stream.on('error', error => {
+        this.stream = undefined;
+        onError(error);
+      });
+    } catch (error) {
+      onError(error instanceof Error ? error : new Error(String(error)));
+    }
+  }
+
+  record(record: TraceRecord): void {
+    const entry = {
+      seq: ++this.seq,
+      time: new Date().toISOString(),
+      sessionId: this.sessionId,
+      turn: this.turn(),
+      ...record
+    };
+    this.stream?.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  /**
+   * Id for the next model request, unique within this recorder
+   */
+  nextRequestId(): number {
+    return ++this.requestCount;
+  }
+
+  close(): Promise<void> {
+    const stream = this.stream;
+    this.stream = undefined;
+    if (!stream) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => stream.end(() => resolve()));
+  }
+}
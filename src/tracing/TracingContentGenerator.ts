@@ -0,0 +1,130 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import type { ContentGenerator, GeminiClient } from '@google/gemini-cli-core';
+import type { TraceRecorder } from './TraceRecorder.js';
+
+type ModelRequest = Parameters<ContentGenerator['generateContent']>[0];
+type ModelResponse = Awaited<ReturnType<ContentGenerator['generateContent']>>;
+
+/**
+ * Content generator that records every model request, response chunk and
+ * error of a session to its trace
+ */
+export class TracingContentGenerator implements ContentGenerator {
+  private inner: ContentGenerator;
+  private recorder: TraceRecorder;
+
+  constructor(inner: ContentGenerator, recorder: TraceRecorder) {
+    this.inner = inner;
+    this.recorder = recorder;
+  }
+
+  get userTier() {
+    return this.inner.userTier;
+  }
+
+  async generateContent(
+    ...args: Parameters<ContentGenerator['generateContent']>
+  ): ReturnType<ContentGenerator['generateContent']> {
+    const requestId = this.recordRequest(args[0], 'json');
+    try {
+      const response = await this.inner.generateContent(...args);
+      this.recordChunk(requestId, response);
+      this.recorder.record({ type: 'model_end', requestId });
+      return response;
+    } catch (error) {
+      this.recordError(requestId, error);
+      throw error;
+    }
+  }
+
+  async generateContentStream(
+    ...args: Parameters<ContentGenerator['generateContentStream']>
+  ): ReturnType<ContentGenerator['generateContentStream']> {
+    const requestId = this.recordRequest(args[0], 'stream');
+    try {
+      return this.traceStream(requestId, await this.inner.generateContentStream(...args));
+    } catch (error) {
+      this.recordError(requestId, error);
+      throw error;
+    }
+  }
+
+  countTokens(...args: Parameters<ContentGenerator['countTokens']>): ReturnType<ContentGenerator['countTokens']> {
+    return this.inner.countTokens(...args);
+  }
+
+  embedContent(...args: Parameters<ContentGenerator['embedContent']>): ReturnType<ContentGenerator['embedContent']> {
+    return this.inner.embedContent(...args);
+  }
+
+  private async *traceStream(requestId: number, stream: AsyncGenerator<ModelResponse>): AsyncGenerator<ModelResponse> {
+    try {
+      for await (const chunk of stream) {
+        this.recordChunk(requestId, chunk);
+        yield chunk;
+      }
+    } catch (error) {
+      this.recordError(requestId, error);
+      throw error;
+    }
+    this.recorder.record({ type: 'model_end', requestId });
+  }
+
+  private recordRequest(request: ModelRequest, kind: 'stream' | 'json'): number {
+    const requestId = this.recorder.nextRequestId();
+    // Earlier contents are in the trace already; only the new message is recorded
+    const contents = Array.isArray(request.contents) ? request.contents : [request.contents];
+    const message = contents[contents.length - 1];
+    this.recorder.record({
+      type: 'model_request',
+      requestId,
+      kind,
+      model: request.model,
+      message: typeof message === 'object' && message !== null && 'parts' in message ? message : undefined
+    });
+    return requestId;
+  }
+
+  private recordChunk(requestId: number, response: ModelResponse): void {
+    this.recorder.record({
+      type: 'model_chunk',
+      requestId,
+      chunk: { candidates: response.candidates, usageMetadata: response.usageMetadata }
+    });
+  }
+
+  private recordError(requestId: number, error: unknown): void {
+    const status = (error as { status?: unknown })?.status;
+    this.recorder.record({
+      type: 'model_error',
+      requestId,
+      error: {
+        message: error instanceof Error ? error.message : String(error),
+        status: typeof status === 'number' ? status : undefined
+      }
+    });
+  }
+
+  /**
+   * Trace the model traffic of a chat and its client (the client serves side
+   * requests such as the next-speaker check). Returns a function that
+   * restores the original generators.
+   */
+  static install(chat: object, client: GeminiClient, recorder: TraceRecorder): () => void {
+    // GeminiChat keeps its generator private and exposes no hook for it
+    const target = chat as { contentGenerator: ContentGenerator };
+    const original = target.contentGenerator;
+    const tracing = new TracingContentGenerator(original, recorder);
+    target.contentGenerator = tracing;
+    client.getContentGenerator = () => tracing;
+    return () => {
+      target.contentGenerator = original;
+      delete (client as { getContentGenerator?: unknown }).getContentGenerator;
+    };
+  }
+}
@@ -0,0 +1,9 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+export { TraceRecorder, readTrace, traceFilePath } from './TraceRecorder.js';
+export type { TraceRecord } from './TraceRecorder.js';
+export { TracingContentGenerator } from './TracingContentGenerator.js';
@@ -4,9 +4,9 @@
  * SPDX-License-Identifier: Apache-2.0
  */
 
-import type { Content, GenerateContentResponse } from '@google/genai';
-import type { Config, MCPServerConfig } from '@google/gemini-cli-core';
-import type { TaskRequest, TaskResult, TaskStatus } from './types.js';
+import type { Content, GenerateContentResponse, Part } from '@google/genai';
+import type { Config, GeminiChat, GeminiClient, MCPServerConfig } from '@google/gemini-cli-core';
+import type { TaskRequest, TaskResult, TaskStatus, UsageSummary, AuthOptions, ToolArtifact, ToolOutputPolicy } from './types.js';
 
 /**
  * Core strategy interface for handling different task types
@@ -42,12 +42,43 @@ export interface TaskStrategy {
    */
   isValidToolCall(toolName: string, args: Record<string, unknown>): boolean;
   
+  /**
+   * Classify a tool call. Only 'read_only' calls may run in parallel;
+   * calls are treated as 'mutating' when this is not implemented.
+   */
+  getToolClass?(toolName: string, args: Record<string, unknown>): ToolClass;
+
+  /**
+   * Timeout in ms for a specific tool call, overriding request.toolTimeout
+   */
+  getToolTimeout?(toolName: string, args: Record<string, unknown>): number | undefined;
+
+  /**
+   * Output limit for a specific tool call, overriding the engine's toolOutputPolicy
+   */
+  getToolOutputPolicy?(toolName: string, args: Record<string, unknown>): ToolOutputPolicy | undefined;
+
+  /**
+   * Check the produced output once isTaskComplete returns true. Findings of a
+   * failed check are sent back to the model for another attempt, up to
+   * request.maxVerificationRounds checks.
+   */
+  verifyCompletion?(context: CompletionContext): Promise<CompletionVerification> | CompletionVerification;
+
+  /**
+   * Reminder sent when the model stops before the task is complete; used by
+   * StrategyContinuationPolicy, which lists missing required steps otherwise
+   */
+  getContinuationPrompt?(context: ContinuationContext): string | undefined;
+  
   /**
    * Get strategy name for logging and debugging
    */
   getName(): string;
 }
 
+export type ToolClass = 'read_only' | 'mutating';
+
 /**
  * Configuration builder interface for creating Config instances
  */
@@ -108,6 +139,31 @@ export interface ProgressTracker {
   reset(): void;
 }
 
+/**
+ * Persistence interface for task checkpoints, used to resume interrupted sessions
+ */
+export interface SessionStore {
+  /**
+   * Save (overwrite) the checkpoint of a session
+   */
+  save(checkpoint: TaskCheckpoint): Promise<void>;
+  
+  /**
+   * Load the latest checkpoint of a session, if any
+   */
+  load(sessionId: string): Promise<TaskCheckpoint | undefined>;
+  
+  /**
+   * Remove the checkpoint of a session
+   */
+  delete(sessionId: string): Promise<void>;
+  
+  /**
+   * List the sessionIds that have a checkpoint
+   */
+  list(): Promise<string[]>;
+}
+
 // Supporting types and interfaces
 
 export interface TaskWorkflowStep {
@@ -118,18 +174,20 @@ export interface TaskWorkflowStep {
 }
 
 export interface TaskProcessingResult {
-  shouldContinue: boolean;
+  shouldContinue: boolean;                  // false ends the task right after this tool result, as a failure unless finalResult.success is true
   extractedData?: Record<string, unknown>;
-  finalResult?: Partial<TaskResult>;
+  finalResult?: Partial<TaskResult>;        // Outcome reported in TaskResult (success, outputPath, ...)
 }
 
 export interface ConfigParams {
   sessionId: string;
   mcpServerConfig?: MCPServerConfig; // Optional: MCP server configuration
+  mcpServers?: Record<string, MCPServerConfig>; // All MCP servers, including mcpServerConfig
   model: string;
   maxTurns: number;
   workingDirectory: string;
-  approvalMode: string; // ApprovalMode enum
+  approvalMode: string; // ApprovalMode enum value
+  auth?: AuthOptions;
   customOptions?: Record<string, unknown>;
 }
 
@@ -144,7 +202,7 @@ export interface TaskExecutionState {
   turnCount: number;
   sessionTurnCount: number;
   currentAction: TaskAction;
-  strategy: TaskStrategy;
+  strategy?: TaskStrategy;
 }
 
 export interface ProgressInfo {
@@ -159,15 +217,37 @@ export interface ToolCall {
   callId: string;
   name: string;
   args: Record<string, unknown>;
-  status: 'pending' | 'executing' | 'completed' | 'error';
+  status: 'pending' | 'awaiting_approval' | 'executing' | 'completed' | 'error' | 'rejected';
   startTime: number;
   duration?: number;
   result?: string;
   error?: string;
+  errorReason?: 'timeout';
   exportPath?: string;
+  artifact?: ToolArtifact;
   responseParts?: any[];
 }
 
+/**
+ * What verifyCompletion gets to check a finished task
+ */
+export interface CompletionContext {
+  sessionId: string;
+  request: TaskRequest;
+  response: string;            // Text of the final model response
+  toolCalls: ToolCall[];
+  outputPath?: string;         // Output path reported by the strategy, if any
+  extractedData: Record<string, unknown>;
+  round: number;               // 1 for the first check
+  data?: unknown;              // Submitted result, when the request has a resultSchema
+  signal: AbortSignal;         // Aborted when the task is cancelled
+}
+
+export interface CompletionVerification {
+  passed: boolean;
+  findings?: string[];         // Sent to the model when the check fails
+}
+
 export interface ToolResponse {
   error?: Error & { message: string };
   resultDisplay?: string | any;
@@ -175,36 +255,128 @@ export interface ToolResponse {
 }
 
 export interface TaskAction {
-  type: 'thinking' | 'tool_executing' | 'responding';
+  type: 'thinking' | 'tool_executing' | 'responding' | 'retrying' | 'verifying';
   description: string;
 }
 
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+// Structured context such as sessionId, turn and toolName
+export type LogFields = Record<string, unknown>;
+
+/**
+ * Logger used by the engine; see src/logging for console, pino and winston adapters
+ */
+export interface Logger {
+  debug(message: string, fields?: LogFields): void;
+  info(message: string, fields?: LogFields): void;
+  warn(message: string, fields?: LogFields): void;
+  error(message: string, fields?: LogFields): void;
+}
+
+/**
+ * Decides what happens when a turn ends without tool calls and the task is
+ * not complete
+ */
+export interface ContinuationPolicy {
+  decide(context: ContinuationContext): Promise<ContinuationDecision> | ContinuationDecision;
+}
+
+export interface ContinuationContext {
+  sessionId: string;
+  request: TaskRequest;
+  response: string;            // Text of the turn that ended without tool calls
+  toolCalls: ToolCall[];
+  progress: TaskStatus['progress'];
+  attempt: number;             // Consecutive turns without tool calls, this one included
+  strategy?: TaskStrategy;
+  chat: GeminiChat;
+  geminiClient: GeminiClient;
+  signal: AbortSignal;
+}
+
+export type ContinuationDecision =
+  | { type: 'continue'; message: string } // Send this message to the model
+  | { type: 'fail'; reason?: string };    // End the task as failed
+
 /**
- * Error handling strategy interface
+ * Error handling strategy interface, consulted for both API and tool errors
  */
 export interface ErrorHandlingStrategy {
   classifyError(error: Error, context: ErrorContext): ErrorClassification;
   shouldRetry(error: Error, attemptCount: number): boolean;
-  getRecoveryAction(error: Error): RecoveryAction;
+  getRecoveryAction(error: Error, context?: ErrorContext): RecoveryAction;
 }
 
 export interface ErrorContext {
-  toolName: string;
+  source: 'api' | 'tool';   // Model request or tool execution
+  toolName: string;         // Empty for API errors
   args: Record<string, unknown>;
   turnCount: number;
-  previousErrors: Error[];
+  previousErrors: Error[];  // Earlier errors of the same session
 }
 
 export interface ErrorClassification {
   severity: 'fatal' | 'recoverable' | 'warning';
-  category: 'network' | 'auth' | 'tool' | 'configuration' | 'unknown';
+  category: 'network' | 'auth' | 'tool' | 'configuration' | 'rate_limit' | 'context_length' | 'server' | 'unknown';
   shouldTerminate: boolean;
   shouldRetry: boolean;
 }
 
 export interface RecoveryAction {
-  type: 'retry' | 'skip' | 'fallback' | 'terminate';
+  // retry: repeat the request/tool call; skip: drop the failed tool call;
+  // fallback: run fallbackTool with the same args; feedback: report the error
+  // to the model; terminate: fail the task
+  type: 'retry' | 'skip' | 'fallback' | 'feedback' | 'terminate';
   fallbackTool?: string;
-  retryDelay?: number;
+  retryDelay?: number;      // Base delay in ms, doubled on every further attempt (with jitter)
+  maxRetryDelay?: number;   // Upper bound for the backoff delay in ms
+  retryAfter?: number;      // Delay in ms requested by the server, overrides backoff (still capped by maxRetryDelay)
   maxRetries?: number;
-}
\ No newline at end of file
+  onExhausted?: 'feedback' | 'terminate'; // What to do once maxRetries is used up (default feedback)
+  feedbackMessage?: string; // Message for the model instead of the raw error
+  reason?: string;          // Explanation reported when terminating
+}
+
+/**
+ * Snapshot of a session taken after every completed turn
+ */
+export interface TaskCheckpoint {
+  version: 1;
+  sessionId: string;
+  request: Omit<TaskRequest, 'abortSignal' | 'auth' | 'onToolApproval'>; // Credentials are not persisted
+  sessionState: TaskStatus['sessionState'];
+  history: Content[];          // Chat history up to the last completed turn
+  pendingMessage: Part[];      // Message to send on the next turn
+  toolCalls: ToolCall[];
+  turnCount: number;
+  sessionTurnCount: number;
+  extractedData: Record<string, unknown>; // Merged TaskProcessingResult.extractedData
+  finalResult?: TaskStatus['finalResult'];
+  totalDuration: number;       // Execution time accumulated before this checkpoint
+  usage?: UsageSummary;
+  verificationRounds?: number; // Completion checks run so far
+  resultData?: unknown;        // Accepted submit_result arguments
+  updatedAt: string;
+}
+
+/**
+ * Model response chunk as stored in a trace
+ */
+export type TraceChunk = Pick<GenerateContentResponse, 'candidates' | 'usageMetadata'>;
+
+/**
+ * One line of a session trace (JSONL). Model requests get an id that their
+ * chunks, end or error refer to; 'json' requests are side requests such as
+ * the next-speaker check. A request without model_end or model_error stalled.
+ */
+export type TraceEntry = { seq: number; time: string; sessionId: string; turn: number } & (
+  | { type: 'session_started'; request: TaskCheckpoint['request']; resumed: boolean }
+  | { type: 'model_request'; requestId: number; kind: 'stream' | 'json'; model: string; message?: Content }
+  | { type: 'model_chunk'; requestId: number; chunk: TraceChunk }
+  | { type: 'model_end'; requestId: number }
+  | { type: 'model_error'; requestId: number; error: { message: string; status?: number } }
+  | { type: 'tool_call'; callId: string; name: string; args: Record<string, unknown> }
+  | { type: 'tool_result'; callId: string; name: string; output?: string; error?: string; timedOut?: boolean }
+  | { type: 'session_finished'; result: TaskResult }
+);
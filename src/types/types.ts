@@ -17,6 +17,7 @@ export interface TaskRequest {
   mcpServerName?: string;                   // Server identifier
   mcpTimeout?: number;                      // Connection timeout
   mcpDescription?: string;                  // Server description
+  mcpServers?: Record<string, McpServerRequest>; // Additional MCP servers keyed by server name
   
   // Prompt Configuration
   customPrompt?: string;                    // External prompt (highest priority)
@@ -26,19 +27,35 @@ export interface TaskRequest {
   model?: string;                           // LLM model to use
   maxTurns?: number;                        // Maximum conversation turns
   workingDirectory?: string;                // Working directory
+  maxTokens?: number;                       // Stop once total tokens exceed this budget
+  maxCost?: number;                         // Stop once cost exceeds this budget; the task fails without pricing for its model
+  timeout?: number;                         // Deadline for the whole execution in ms
+  streamIdleTimeout?: number;               // Max ms without a model response chunk
+  toolTimeout?: number;                     // Default max ms per tool call
+  maxVerificationRounds?: number;           // Completion checks before the task fails (default 3)
+  resultSchema?: Record<string, unknown>;   // JSON schema of the result the model must submit via submit_result
+  includeThoughts?: boolean;                // Stream model thought summaries as currentThought
+  auth?: AuthOptions;                       // Overrides TaskEngineOptions.auth; never checkpointed
+  approvalMode?: ApprovalModeName;          // Overrides TaskEngineOptions.approvalMode
+  onToolApproval?: ToolApprovalHandler;     // Overrides TaskEngineOptions.onToolApproval; never checkpointed
+  abortSignal?: AbortSignal;                // External cancellation (timeout, user action)
 }
 
 export interface TaskStatus {
   sessionId: string;
-  sessionState: 'initializing' | 'running' | 'completed' | 'error';
+  sessionState: 'initializing' | 'running' | 'completed' | 'error' | 'cancelled';
   progress: {
     currentTurn: number;      // Current conversation turn
     maxTurns: number;         // Maximum turn limit
     percentage: number;       // Progress percentage (0-100)
+    currentStep?: string;     // Next workflow step (set by a progress tracker)
+    completedSteps?: string[];
+    remainingSteps?: string[];
+    estimatedTimeRemaining?: number; // milliseconds
   };
   
   currentAction: {
-    type: 'thinking' | 'tool_executing' | 'responding';
+    type: 'thinking' | 'tool_executing' | 'responding' | 'retrying' | 'verifying';
     description: string;      // Current step description
   };
   
@@ -51,19 +68,43 @@ export interface TaskStatus {
   // Structured thought (replaces thinkingText and isThinking)
   currentThought?: ThoughtSummary;
   
+  // Thoughts of all turns so far (only with request.includeThoughts)
+  thoughts?: Array<ThoughtSummary & { turn: number }>;
+  
+  // Token usage of the session so far
+  usage?: UsageSummary;
+  
+  // Size of the conversation and the compressions applied to it
+  context?: ContextStatus;
+  
+  // Connection state of each configured MCP server. The core tracks it by server
+  // name process-wide, so sessions sharing a name share this state.
+  mcpServers?: Record<string, {
+    status: 'connecting' | 'connected' | 'disconnected';
+    toolCount: number;        // Tools discovered from this server
+  }>;
+  
   toolCalls: Array<{
     callId: string;
     name: string;             // Tool name
     args: Record<string, unknown>;
-    status: 'pending' | 'executing' | 'completed' | 'error';
+    status: 'pending' | 'awaiting_approval' | 'executing' | 'completed' | 'error' | 'rejected';
     startTime: number;
     duration?: number;        // milliseconds
     result?: string;          // Tool execution result
     error?: string;
+    errorReason?: 'timeout';  // Set when the error has a known cause
     exportPath?: string;      // Output path for tools that export files
+    artifact?: ToolArtifact;  // Full output, when it was spilled to a file
     responseParts?: any[];    // Store complete response parts (consistent with CLI)
   }>;
   
+  verification?: {
+    rounds: number;           // Completion checks run so far
+    passed: boolean;          // Result of the last check
+    findings?: string[];      // Problems found by the last check
+  };
+
   finalResult?: {
     success: boolean;
     outputPath?: string;      // Output file path (generic)
@@ -71,6 +112,7 @@ export interface TaskStatus {
     error?: string;
   };
   
+  endTime?: string;           // Set once the task is completed, failed or cancelled
   timestamp: string;
 }
 
@@ -80,25 +122,187 @@ export interface TaskResult {
   outputPath?: string;        // Output file path (generic)
   executionSummary: string;   // Execution process summary
   error?: string;
+  cancelled?: boolean;        // True when the task was stopped via abort() or abortSignal
+  timedOut?: boolean;         // The request timeout was reached
+  data?: unknown;             // Result submitted via submit_result (see TaskRequest.resultSchema)
   metadata: {
     totalDuration: number;    // Total execution time
     turnCount: number;        // Total turn count
     toolCallCount: number;    // Tool call count
+    usage?: UsageSummary;     // Token usage and cost
   };
 }
 
+export interface TokenUsage {
+  promptTokens: number;
+  candidatesTokens: number;
+  cachedTokens: number;       // Part of promptTokens served from cache
+  thoughtsTokens: number;
+  totalTokens: number;
+}
+
+export interface UsageSummary {
+  total: TokenUsage;
+  turns: Array<TokenUsage & { turn: number; cost?: number }>;
+  cost?: number;              // Only set when the price table covers the model
+}
+
+// Prices per million tokens, in the currency of your choice
+export interface ModelPricing {
+  inputPerMillion: number;
+  outputPerMillion: number;
+  cachedInputPerMillion?: number;  // Defaults to inputPerMillion
+  thoughtsPerMillion?: number;     // Defaults to outputPerMillion
+}
+
+// One MCP server of TaskRequest.mcpServers; set exactly one of url, httpUrl or command
+export interface McpServerRequest {
+  url?: string;                             // SSE transport
+  httpUrl?: string;                         // Streamable HTTP transport
+  headers?: Record<string, string>;         // HTTP headers for url/httpUrl
+  command?: string;                         // stdio transport (process-based)
+  args?: string[];
+  env?: Record<string, string>;
+  cwd?: string;
+  timeout?: number;                         // Connection/request timeout
+  trust?: boolean;                          // Defaults to true, like the single-server fields
+  description?: string;
+  includeTools?: string[];
+  excludeTools?: string[];
+}
+
+// Fine-grained execution events, emitted by TaskEngine and iterable from executeTask()
+export type TaskEvent = { sessionId: string; timestamp: string } & (
+  | { type: 'task_started'; resumed: boolean }
+  | { type: 'turn_started'; turn: number }
+  | { type: 'text_delta'; turn: number; delta: string }
+  | { type: 'text_complete'; turn: number; text: string }
+  | { type: 'thought'; turn: number; thought: ThoughtSummary }
+  | { type: 'context_compressed'; turn: number; compression: ContextCompression }
+  | { type: 'tool_call_started'; turn: number; callId: string; name: string; args: Record<string, unknown> }
+  | {
+      type: 'tool_call_finished';
+      turn: number;
+      callId: string;
+      name: string;
+      status: 'completed' | 'error' | 'rejected';
+      duration: number;
+      result?: string;
+      error?: string;
+      errorReason?: 'timeout';
+      artifact?: ToolArtifact;
+    }
+  | { type: 'verification'; turn: number; round: number; passed: boolean; findings?: string[] }
+  | { type: 'retry'; source: 'api' | 'tool'; attempt: number; delay: number; error: string; toolName?: string }
+  | { type: 'task_finished'; result: TaskResult }
+);
+
+export type TaskEventType = TaskEvent['type'];
+
+// Promise of the result that can also be iterated for the task's events
+export type TaskExecution = Promise<TaskResult> & AsyncIterable<TaskEvent>;
+
+// Authentication method, using gemini-cli-core's AuthType values. Credentials
+// left out here are read from the usual environment variables.
+export interface AuthOptions {
+  type: 'oauth-personal' | 'gemini-api-key' | 'vertex-ai' | 'cloud-shell';
+  apiKey?: string;            // gemini-api-key, or Vertex AI express mode
+  project?: string;           // vertex-ai
+  location?: string;          // vertex-ai
+}
+
+export interface ContextCompressionOptions {
+  threshold?: number;             // Fraction of the context window that triggers a summary (default 0.7)
+  preserveFraction?: number;      // Most recent fraction of the history kept verbatim (default 0.3)
+  maxToolResultChars?: number;    // Older tool results are truncated to this length (default 20000)
+  keepRecentToolResults?: number; // Tool results of the last N tool turns are never truncated (default 2)
+  tokenLimit?: number;            // Context window in tokens (default: gemini-cli-core's limit for the model)
+}
+
+// 'truncate' shortens old or pending tool results, 'summarize' replaces the older history with a summary
+export interface ContextCompression {
+  turn: number;
+  kind: 'truncate' | 'summarize';
+  reason: 'old_tool_results' | 'pending_tool_results' | 'threshold' | 'context_length';
+  tokensBefore?: number;
+  tokensAfter?: number;
+  truncatedToolResults?: number;
+}
+
+export interface ContextStatus {
+  tokenCount?: number;          // Tokens of the last request plus its response
+  tokenLimit: number;
+  compressions: ContextCompression[];
+}
+
+// gemini-cli-core's ApprovalMode values: 'default' asks for every tool that
+// wants confirmation, 'autoEdit' approves file edits, 'yolo' approves everything
+export type ApprovalModeName = 'default' | 'autoEdit' | 'yolo';
+
+// A tool call that needs approval under the current approval mode
+export interface ToolApprovalRequest {
+  sessionId: string;
+  callId: string;
+  name: string;
+  args: Record<string, unknown>;
+  description: string;        // What the tool is about to do
+  confirmation: {             // gemini-cli-core's confirmation details (diff, command, server, urls)
+    type: 'edit' | 'exec' | 'mcp' | 'info';
+    title: string;
+    [detail: string]: unknown;
+  };
+}
+
+export type ToolApprovalDecision =
+  | { decision: 'approve' }
+  | { decision: 'deny'; reason?: string }                   // The reason is reported to the model
+  | { decision: 'modify'; args: Record<string, unknown> };  // Run with these args instead
+
+export type ToolApprovalHandler = (request: ToolApprovalRequest) => Promise<ToolApprovalDecision>;
+
 // Structured thought summary (based on Gemini CLI design)
 export interface ThoughtSummary {
   subject: string;        // Thought subject (extracted from **subject**)
   description: string;    // Thought description (remaining text)
 }
 
+/**
+ * Limits the output of a tool call before it reaches the model and status
+ */
+export interface ToolOutputPolicy {
+  maxChars: number;                          // Longest output kept, in characters
+  truncation?: 'head' | 'tail' | 'head_tail'; // Which part to keep (default 'head_tail')
+  spill?: boolean;                           // Save the full output to a file in workingDirectory
+}
+
+/**
+ * Full output of a tool call saved to disk
+ */
+export interface ToolArtifact {
+  path: string;   // Absolute file path
+  size: number;   // Full output length in characters
+}
+
 export interface TaskEngineOptions {
   strategy?: any;             // TaskStrategy - using any to avoid circular imports
   configBuilder?: any;       // ConfigurationBuilder
   promptStrategy?: any;      // PromptStrategy
   pluginManager?: any;       // PluginManager
-  onStatusUpdate: (status: TaskStatus) => void;
+  sessionStore?: any;        // SessionStore - enables checkpoints and resumeTask()
+  advertiseOnlyValidTools?: boolean; // Hide tools rejected by strategy.isValidToolCall from the model
+  progressTracker?: (request: TaskRequest) => any; // ProgressTracker factory, one tracker per session
+  errorHandler?: any;        // ErrorHandlingStrategy for API and tool errors
+  pricing?: Record<string, ModelPricing>; // Price table keyed by model name (or prefix)
+  maxParallelToolCalls?: number; // Read-only tool calls run concurrently per turn (default 1)
+  logger?: any;              // Logger - silent by default
+  auth?: AuthOptions;        // Default authentication (OAuth login when not set)
+  approvalMode?: ApprovalModeName; // Which tool calls need approval (default 'yolo': none)
+  onToolApproval?: ToolApprovalHandler; // Decides tool calls that need approval
+  traceDirectory?: string;   // Record each session to <sessionId>.trace.jsonl in this directory
+  contextCompression?: ContextCompressionOptions | boolean; // History size management (off by default; true for the defaults)
+  toolOutputPolicy?: ToolOutputPolicy; // Default limit on tool output sent to the model (none by default)
+  continuationPolicy?: any;  // ContinuationPolicy for turns that stop early (next-speaker check by default)
+  onStatusUpdate?: (status: TaskStatus) => void; // Full snapshot on every change; see also TaskEvent
   
   // Legacy support
   mcpServerName?: string;     // MCP server name
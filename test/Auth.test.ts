@@ -0,0 +1,126 @@
+/**
+ * Tests for selecting and validating the authentication method
+ */
+
+import type { Config } from '@google/gemini-cli-core';
+import { TaskEngine, DefaultConfigurationBuilder, AuthOptions, TaskRequest } from '../src';
+import { ScriptedContentGenerator, ScriptedConfigurationBuilder, FakeTool } from '../src/testing';
+import { createStrategy, useWorkspace } from './helpers';
+
+const CREDENTIAL_VARIABLES = ['GEMINI_API_KEY', 'GOOGLE_API_KEY', 'GOOGLE_CLOUD_PROJECT', 'GOOGLE_CLOUD_LOCATION'];
+
+/**
+ * Scripted builder that records the auth type and the API key visible to each
+ * refreshAuth call
+ */
+class RecordingConfigurationBuilder extends ScriptedConfigurationBuilder {
+  readonly refreshes: Array<{ authType: string; apiKey?: string }> = [];
+
+  async buildConfiguration(request: TaskRequest): Promise<Config> {
+    const config = await super.buildConfiguration(request);
+    const refreshAuth = config.refreshAuth.bind(config);
+    config.refreshAuth = authType => {
+      this.refreshes.push({ authType, apiKey: process.env.GEMINI_API_KEY });
+      return refreshAuth(authType);
+    };
+    return config;
+  }
+}
+
+describe('Authentication', () => {
+  const workspace = useWorkspace('task-engine-auth-');
+  let savedEnvironment: Record<string, string | undefined>;
+
+  beforeEach(() => {
+    savedEnvironment = Object.fromEntries(CREDENTIAL_VARIABLES.map(name => [name, process.env[name]]));
+    CREDENTIAL_VARIABLES.forEach(name => delete process.env[name]);
+  });
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(savedEnvironment)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+
+  describe('validateConfiguration', () => {
+    const builder = new DefaultConfigurationBuilder();
+    const errors = (auth: AuthOptions) => builder.validateConfiguration({ sessionId: 'auth', auth }).errors;
+
+    test('requires an API key for gemini-api-key', () => {
+      expect(errors({ type: 'gemini-api-key' })).toEqual([expect.stringContaining('requires auth.apiKey or the GEMINI_API_KEY')]);
+      expect(errors({ type: 'gemini-api-key', apiKey: 'key' })).toEqual([]);
+
+      process.env.GEMINI_API_KEY = 'from-env';
+      expect(errors({ type: 'gemini-api-key' })).toEqual([]);
+    });
+
+    test('requires an API key or a project and location for vertex-ai', () => {
+      expect(errors({ type: 'vertex-ai', project: 'my-project' })).toEqual([
+        expect.stringContaining('missing auth.location (or GOOGLE_CLOUD_LOCATION)')
+      ]);
+      expect(errors({ type: 'vertex-ai', project: 'my-project', location: 'us-central1' })).toEqual([]);
+      expect(errors({ type: 'vertex-ai', apiKey: 'express-key' })).toEqual([]);
+
+      process.env.GOOGLE_API_KEY = 'from-env';
+      expect(errors({ type: 'vertex-ai' })).toEqual([]);
+    });
+
+    test('needs no credentials for OAuth and cloud shell, and rejects unknown types', () => {
+      expect(errors({ type: 'oauth-personal' })).toEqual([]);
+      expect(errors({ type: 'cloud-shell' })).toEqual([]);
+      expect(errors({ type: 'password' } as unknown as AuthOptions)).toEqual(['Unsupported auth type: password']);
+    });
+  });
+
+  describe('TaskEngine', () => {
+    function createEngine(configBuilder: ScriptedConfigurationBuilder, auth?: AuthOptions) {
+      return new TaskEngine({ strategy: createStrategy(), configBuilder, auth });
+    }
+
+    function script() {
+      return new ScriptedContentGenerator([{ functionCalls: [{ name: 'complete_task' }] }, { text: 'Done' }]);
+    }
+
+    test('refreshes with the request auth, exposing the key only during the call', async () => {
+      const builder = new RecordingConfigurationBuilder({ model: script(), tools: [new FakeTool('complete_task')] });
+      const engine = createEngine(builder, { type: 'oauth-personal' });
+
+      const result = await engine.executeTask({
+        sessionId: 'api-key',
+        description: 'Work',
+        workingDirectory: workspace(),
+        auth: { type: 'gemini-api-key', apiKey: 'request-key' }
+      });
+
+      expect(result.success).toBe(true);
+      expect(builder.refreshes).toEqual([{ authType: 'gemini-api-key', apiKey: 'request-key' }]);
+      expect(process.env.GEMINI_API_KEY).toBeUndefined();
+    });
+
+    test('falls back to the engine auth, then to OAuth', async () => {
+      const builder = new RecordingConfigurationBuilder({ model: script(), tools: [new FakeTool('complete_task')] });
+      await createEngine(builder, { type: 'cloud-shell' }).executeTask({ sessionId: 'engine', description: 'Work', workingDirectory: workspace() });
+
+      const defaultBuilder = new RecordingConfigurationBuilder({ model: script(), tools: [new FakeTool('complete_task')] });
+      await createEngine(defaultBuilder).executeTask({ sessionId: 'default', description: 'Work', workingDirectory: workspace() });
+
+      expect(builder.refreshes.map(refresh => refresh.authType)).toEqual(['cloud-shell']);
+      expect(defaultBuilder.refreshes.map(refresh => refresh.authType)).toEqual(['oauth-personal']);
+    });
+
+    test('fails the task before starting when credentials are missing', async () => {
+      const builder = new RecordingConfigurationBuilder({ model: script(), tools: [new FakeTool('complete_task')] });
+
+      const result = await createEngine(builder, { type: 'gemini-api-key' })
+        .executeTask({ sessionId: 'missing', description: 'Work', workingDirectory: workspace() });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('requires auth.apiKey or the GEMINI_API_KEY');
+      expect(builder.refreshes).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Tests for stopping a task once its token or cost budget is used up
+ */
+
+import { TaskEngine, TaskRequest, ModelPricing } from '../src';
+import { ScriptedContentGenerator, ScriptedConfigurationBuilder, FakeTool } from '../src/testing';
+import { createStrategy, useWorkspace } from './helpers';
+
+describe('Usage budgets', () => {
+  const workspace = useWorkspace('task-engine-budgets-');
+
+  async function run(overrides: Partial<TaskRequest>, pricing?: Record<string, ModelPricing>) {
+    // Each turn uses 600k tokens; the third would complete the task
+    const usage = { promptTokenCount: 500_000, candidatesTokenCount: 100_000, totalTokenCount: 600_000 };
+    const model = new ScriptedContentGenerator([
+      { functionCalls: [{ name: 'step' }], usage },
+      { functionCalls: [{ name: 'step' }], usage },
+      { functionCalls: [{ name: 'complete_task' }], usage },
+      { text: 'Done' }
+    ]);
+    const engine = new TaskEngine({
+      strategy: createStrategy(),
+      configBuilder: new ScriptedConfigurationBuilder({ model, tools: [new FakeTool('step'), new FakeTool('complete_task')] }),
+      pricing
+    });
+
+    const result = await engine.executeTask({
+      sessionId: 'budget',
+      description: 'Work',
+      workingDirectory: workspace(),
+      model: 'gemini-2.5-flash',
+      ...overrides
+    });
+    return { result, model, status: engine.getStatus('budget')! };
+  }
+
+  test('stops before the next turn once maxTokens is exceeded', async () => {
+    const { result, model, status } = await run({ maxTokens: 1_000_000 });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Token budget exceeded: 1200000 tokens used, limit 1000000.');
+    expect(result.metadata.usage?.total.totalTokens).toBe(1_200_000);
+    expect(model.requests).toHaveLength(2);
+    expect(status).toMatchObject({ sessionState: 'error', finalResult: { summary: 'Task stopped: usage budget exceeded' } });
+  });
+
+  test('stops once maxCost is exceeded', async () => {
+    const { result, model } = await run(
+      { maxCost: 1 },
+      { 'gemini-2.5': { inputPerMillion: 1, outputPerMillion: 2 } }
+    );
+
+    // 0.5M input at 1 and 0.1M output at 2 per turn
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Cost budget exceeded: 1.4000 spent, limit 1.');
+    expect(result.metadata.usage?.cost).toBeCloseTo(1.4);
+    expect(model.requests).toHaveLength(2);
+  });
+
+  test('rejects maxCost without a price for the model', async () => {
+    const { result, model } = await run(
+      { maxCost: 1 },
+      { 'gemini-2.5-pro': { inputPerMillion: 1.25, outputPerMillion: 10 } }
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('maxCost requires a pricing entry for model gemini-2.5-flash in TaskEngineOptions.pricing');
+    expect(model.requests).toHaveLength(0);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests for the completion verification step
+ */
+
+import { existsSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { TaskEngine, CompletionContext, CompletionVerification, TaskEvent } from '../src';
+import { ScriptedContentGenerator, ScriptedConfigurationBuilder, FakeTool } from '../src/testing';
+import { createStrategy, useWorkspace } from './helpers';
+
+/**
+ * Strategy whose completion check is `check`; the contexts it saw are recorded
+ */
+function createVerifiedStrategy(check: (context: CompletionContext) => CompletionVerification) {
+  const contexts: CompletionContext[] = [];
+  const strategy = createStrategy({
+    verifyCompletion: async context => {
+      contexts.push(context);
+      return check(context);
+    }
+  });
+  return { strategy, contexts };
+}
+
+describe('Completion verification', () => {
+  const workspace = useWorkspace('task-engine-verify-');
+
+  test('sends findings back to the model until the check passes', async () => {
+    const workingDirectory = workspace();
+    const reportPath = join(workingDirectory, 'report.txt');
+    const { strategy, contexts } = createVerifiedStrategy(() => existsSync(reportPath)
+      ? { passed: true }
+      : { passed: false, findings: ['report.txt was not written'] });
+    const model = new ScriptedContentGenerator([
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'All done' },
+      { functionCalls: [{ name: 'write_report' }] },
+      { text: 'Report written' }
+    ]);
+    const engine = new TaskEngine({
+      strategy,
+      configBuilder: new ScriptedConfigurationBuilder({
+        model,
+        tools: [
+          new FakeTool('write_report', {
+            handler: () => {
+              writeFileSync(reportPath, 'report');
+              return 'Written';
+            }
+          }),
+          new FakeTool('complete_task')
+        ]
+      })
+    });
+    const events: TaskEvent[] = [];
+    engine.on('verification', event => events.push(event));
+
+    const result = await engine.executeTask({ sessionId: 'verify', description: 'Write a report', workingDirectory });
+
+    expect(result.success).toBe(true);
+    expect(contexts.map(context => [context.round, context.response])).toEqual([
+      [1, 'All done'],
+      [2, 'Report written']
+    ]);
+    expect(events).toEqual([
+      expect.objectContaining({ round: 1, passed: false, findings: ['report.txt was not written'] }),
+      expect.objectContaining({ round: 2, passed: true })
+    ]);
+    expect(JSON.stringify(model.requests[2].contents)).toContain('report.txt was not written');
+    expect(engine.getStatus('verify')?.verification).toEqual({ rounds: 2, passed: true });
+  });
+
+  test('fails the task once the verification rounds are used up', async () => {
+    const { strategy, contexts } = createVerifiedStrategy(() => ({ passed: false, findings: ['build exited with code 1'] }));
+    const model = new ScriptedContentGenerator([
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' },
+      { text: 'Still done' }
+    ]);
+    const engine = new TaskEngine({
+      strategy,
+      configBuilder: new ScriptedConfigurationBuilder({ model, tools: [new FakeTool('complete_task')] })
+    });
+
+    const result = await engine.executeTask({
+      sessionId: 'exhausted',
+      description: 'Build',
+      workingDirectory: workspace(),
+      maxVerificationRounds: 2
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('build exited with code 1');
+    expect(contexts).toHaveLength(2);
+    expect(model.remaining).toBe(0);
+  });
+});
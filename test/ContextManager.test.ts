@@ -0,0 +1,134 @@
+/**
+ * Tests for history truncation and compression
+ */
+
+import type { Content } from '@google/genai';
+import { ContextManager } from '../src/core/ContextManager';
+import { TaskEngine, ContextCompression } from '../src';
+import { ScriptedContentGenerator, ScriptedConfigurationBuilder, FakeTool } from '../src/testing';
+import { createStrategy, useWorkspace } from './helpers';
+
+function toolResult(name: string, output: string): Content {
+  return { role: 'user', parts: [{ functionResponse: { name, response: { output } } }] };
+}
+
+describe('ContextManager', () => {
+  test('truncates long tool results except the most recent ones', () => {
+    const manager = new ContextManager('gemini-2.5-flash', { maxToolResultChars: 10, keepRecentToolResults: 1 });
+    const history: Content[] = [
+      { role: 'user', parts: [{ text: 'Decompile everything' }] },
+      toolResult('decompile', 'x'.repeat(50)),
+      { role: 'model', parts: [{ text: 'Next' }] },
+      toolResult('decompile', 'short'),
+      { role: 'model', parts: [{ text: 'Next' }] },
+      toolResult('decompile', 'y'.repeat(50))
+    ];
+
+    const result = manager.truncateToolResults(history);
+
+    expect(result?.truncated).toBe(1);
+    const output = result?.history[1].parts?.[0].functionResponse?.response?.output as string;
+    expect(output.startsWith('x'.repeat(10))).toBe(true);
+    expect(output).toContain('40 characters');
+    expect(result?.history[3]).toEqual(history[3]);
+    expect(result?.history[5]).toEqual(history[5]);
+    expect(manager.truncateToolResults(result!.history)).toBeUndefined();
+  });
+
+  test('uses the configured token limit and threshold', () => {
+    const manager = new ContextManager('gemini-2.5-flash', { tokenLimit: 1000, threshold: 0.5 });
+    expect(manager.tokenLimit).toBe(1000);
+    expect(manager.needsSummary(499)).toBe(false);
+    expect(manager.needsSummary(500)).toBe(true);
+  });
+});
+
+describe('TaskEngine context compression', () => {
+  const workspace = useWorkspace('task-engine-context-');
+
+  async function run(model: ScriptedContentGenerator, engineOptions: Record<string, unknown> = {}) {
+    const engine = new TaskEngine({
+      strategy: createStrategy(),
+      configBuilder: new ScriptedConfigurationBuilder({ model, tools: [new FakeTool('step'), new FakeTool('complete_task')] }),
+      ...engineOptions
+    });
+    const compressions: ContextCompression[] = [];
+    engine.on('context_compressed', event => compressions.push(event.compression));
+    const result = await engine.executeTask({ sessionId: 'context', description: 'Work', workingDirectory: workspace() });
+    return { result, compressions };
+  }
+
+  test('compresses the history and retries after a context-length error', async () => {
+    const model = new ScriptedContentGenerator([
+      { functionCalls: [{ name: 'step' }] },
+      { error: new Error('The input token count (1048577) exceeds the maximum number of tokens allowed (1048576).') },
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' }
+    ], { summary: 'SUMMARY OF EARLIER WORK' });
+
+    const { result, compressions } = await run(model, { contextCompression: true });
+
+    expect(result.success).toBe(true);
+    expect(compressions).toEqual([expect.objectContaining({ kind: 'summarize', reason: 'context_length', turn: 2 })]);
+    expect(JSON.stringify(model.requests[2].contents)).toContain('SUMMARY OF EARLIER WORK');
+  });
+
+  test('summarizes once the history nears the threshold', async () => {
+    const model = new ScriptedContentGenerator([
+      { functionCalls: [{ name: 'step' }], usage: { promptTokenCount: 400, candidatesTokenCount: 50 } },
+      { functionCalls: [{ name: 'complete_task' }], usage: { promptTokenCount: 700, candidatesTokenCount: 50 } },
+      { text: 'Done' }
+    ]);
+
+    const { result, compressions } = await run(model, { contextCompression: { tokenLimit: 1000, threshold: 0.7 } });
+
+    expect(result.success).toBe(true);
+    expect(compressions).toEqual([
+      expect.objectContaining({ kind: 'summarize', reason: 'threshold', turn: 3, tokensBefore: 750 })
+    ]);
+  });
+
+  test('shortens a pending tool result that overflows on its own', async () => {
+    const model = new ScriptedContentGenerator([
+      { functionCalls: [{ name: 'dump' }] },
+      { error: new Error('The input token count (1048577) exceeds the maximum number of tokens allowed (1048576).') },
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' }
+    ]);
+    const engine = new TaskEngine({
+      strategy: createStrategy(),
+      configBuilder: new ScriptedConfigurationBuilder({
+        model,
+        tools: [new FakeTool('dump', { handler: () => 'x'.repeat(5000) }), new FakeTool('complete_task')]
+      }),
+      contextCompression: { maxToolResultChars: 100 }
+    });
+    const compressions: ContextCompression[] = [];
+    engine.on('context_compressed', event => compressions.push(event.compression));
+
+    const result = await engine.executeTask({ sessionId: 'pending', description: 'Dump', workingDirectory: workspace() });
+
+    expect(result.success).toBe(true);
+    expect(compressions).toContainEqual(
+      expect.objectContaining({ kind: 'truncate', reason: 'pending_tool_results', turn: 2, truncatedToolResults: 1 })
+    );
+    expect(JSON.stringify(model.requests[1].contents)).toContain('x'.repeat(5000));
+    expect(JSON.stringify(model.requests[2].contents)).not.toContain('x'.repeat(101));
+    expect(JSON.stringify(model.requests[2].contents)).toContain('4900 characters');
+  });
+
+  test('is off by default', async () => {
+    const model = new ScriptedContentGenerator([
+      { functionCalls: [{ name: 'step' }] },
+      { error: new Error('The input token count (1048577) exceeds the maximum number of tokens allowed (1048576).') },
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' }
+    ]);
+
+    const { result, compressions } = await run(model);
+
+    expect(result.success).toBe(true);
+    expect(compressions).toEqual([]);
+    expect(JSON.stringify(model.requests[2].contents)).toContain('Token limit exceeded');
+  });
+});
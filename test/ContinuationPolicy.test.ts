@@ -0,0 +1,100 @@
+/**
+ * Tests for continuation policies
+ */
+
+import {
+  TaskEngine,
+  ContinuationContext,
+  NudgeContinuationPolicy,
+  StrategyContinuationPolicy,
+  FailContinuationPolicy
+} from '../src';
+import { ScriptedContentGenerator, ScriptedConfigurationBuilder, FakeTool } from '../src/testing';
+import { createStrategy, useWorkspace } from './helpers';
+
+function createWorkflowStrategy(continuationPrompt?: (context: ContinuationContext) => string | undefined) {
+  return createStrategy({
+    getWorkflowSteps: () => [
+      { name: 'analyze', weight: 30, isRequired: true },
+      { name: 'report', weight: 10, isRequired: false },
+      { name: 'patch', weight: 50, isRequired: true },
+      { name: 'complete_task', weight: 10, isRequired: true }
+    ],
+    getContinuationPrompt: continuationPrompt
+  });
+}
+
+describe('Continuation policies', () => {
+  const workspace = useWorkspace('task-engine-continuation-');
+
+  function createEngine(model: ScriptedContentGenerator, continuationPolicy: unknown, strategy = createWorkflowStrategy()) {
+    return new TaskEngine({
+      strategy,
+      continuationPolicy,
+      configBuilder: new ScriptedConfigurationBuilder({
+        model,
+        tools: ['analyze', 'report', 'patch', 'complete_task'].map(name => new FakeTool(name))
+      })
+    });
+  }
+
+  test('reminds the model of missing required steps', async () => {
+    const model = new ScriptedContentGenerator([
+      { functionCalls: [{ name: 'analyze' }] },
+      { text: 'Analysis done' },
+      { functionCalls: [{ name: 'patch' }] },
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' }
+    ]);
+    const engine = createEngine(model, new StrategyContinuationPolicy());
+
+    const result = await engine.executeTask({ sessionId: 'steps', description: 'Patch', workingDirectory: workspace() });
+
+    expect(result.success).toBe(true);
+    const contents = model.requests[2].contents as unknown[];
+    const reminder = JSON.stringify(contents[contents.length - 1]);
+    expect(reminder).toContain('patch, complete_task');
+    expect(reminder).not.toContain('report');
+  });
+
+  test('uses the strategy continuation prompt when it has one', async () => {
+    const model = new ScriptedContentGenerator([
+      { text: 'Thinking about it' },
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' }
+    ]);
+    const strategy = createWorkflowStrategy(context => `Reminder ${context.attempt}: run the analyzer`);
+    const engine = createEngine(model, new StrategyContinuationPolicy(), strategy);
+
+    const result = await engine.executeTask({ sessionId: 'prompt', description: 'Patch', workingDirectory: workspace() });
+
+    expect(result.success).toBe(true);
+    expect(JSON.stringify(model.requests[1].contents)).toContain('Reminder 1: run the analyzer');
+  });
+
+  test('nudges a limited number of consecutive times', async () => {
+    const model = new ScriptedContentGenerator([
+      { text: 'Stopping' },
+      { text: 'Stopping again' },
+      { text: 'Still stopping' }
+    ]);
+    const engine = createEngine(model, new NudgeContinuationPolicy({ maxNudges: 2, message: 'Keep going.' }));
+
+    const result = await engine.executeTask({ sessionId: 'nudge', description: 'Patch', workingDirectory: workspace() });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('3 times in a row');
+    expect(JSON.stringify(model.requests[2].contents)).toContain('Keep going.');
+  });
+
+  test('fails immediately', async () => {
+    const model = new ScriptedContentGenerator([{ text: 'Stopping' }]);
+    const engine = createEngine(model, new FailContinuationPolicy());
+
+    const result = await engine.executeTask({ sessionId: 'fail', description: 'Patch', workingDirectory: workspace() });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('not completed');
+    expect(model.requests).toHaveLength(1);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for the default classification and recovery of API and tool errors
+ */
+
+import { DefaultErrorHandlingStrategy } from '../src';
+import type { ErrorContext } from '../src';
+import { createStrategy } from './helpers';
+
+const api: ErrorContext = { source: 'api', toolName: '', args: {}, turnCount: 1, previousErrors: [] };
+const tool: ErrorContext = { source: 'tool', toolName: 'read_file', args: {}, turnCount: 1, previousErrors: [] };
+
+function apiError(message: string, fields: Record<string, unknown> = {}): Error {
+  return Object.assign(new Error(message), fields);
+}
+
+describe('DefaultErrorHandlingStrategy', () => {
+  const handler = new DefaultErrorHandlingStrategy();
+
+  test.each<[string, Error, string]>([
+    ['a status field', apiError('Request failed', { status: 429 }), 'rate_limit'],
+    ['a code field', apiError('Request failed', { code: 503 }), 'server'],
+    ['a response status', apiError('Request failed', { response: { status: 500 } }), 'server'],
+    ['a labelled status in the message', apiError('got status: 502 Bad Gateway'), 'server'],
+    ['a known message', apiError('RESOURCE_EXHAUSTED'), 'rate_limit'],
+    ['a timeout message', apiError('Model stream timeout: no chunk within 100ms'), 'network']
+  ])('classifies transient API errors by %s', (_, error, category) => {
+    expect(handler.classifyError(error, api)).toEqual({
+      severity: 'recoverable',
+      category,
+      shouldTerminate: false,
+      shouldRetry: true
+    });
+  });
+
+  test('prefers message patterns over numbers that look like a status', () => {
+    const error = apiError('The input token count (1500321) exceeds the maximum number of tokens allowed (1048576).');
+    expect(handler.classifyError(error, api).category).toBe('context_length');
+    expect(handler.getRecoveryAction(error, api)).toEqual({ type: 'feedback', feedbackMessage: expect.stringContaining('Token limit') });
+  });
+
+  test('treats unlabelled numbers and other statuses as fatal', () => {
+    expect(handler.classifyError(apiError('Processed 503 records, then failed'), api)).toMatchObject({
+      severity: 'fatal',
+      shouldTerminate: true
+    });
+    expect(handler.classifyError(apiError('Permission denied', { status: 403 }), api)).toMatchObject({
+      severity: 'fatal',
+      category: 'auth'
+    });
+  });
+
+  test('gives each category its own retry budget', () => {
+    const custom = new DefaultErrorHandlingStrategy(undefined, {
+      retryBudgets: { server: 1, rate_limit: 0 },
+      baseRetryDelay: 100,
+      maxRetryDelay: 1000
+    });
+
+    expect(custom.getRecoveryAction(apiError('Unavailable', { status: 503 }), api)).toMatchObject({
+      type: 'retry',
+      maxRetries: 1,
+      retryDelay: 100,
+      maxRetryDelay: 1000,
+      onExhausted: 'terminate'
+    });
+    expect(custom.getRecoveryAction(apiError('socket hang up'), api)).toMatchObject({ type: 'retry', maxRetries: 4 });
+
+    // A budget of 0 disables retries and sends the error to the model instead
+    const rateLimited = apiError('Rate limit exceeded', { status: 429 });
+    expect(custom.classifyError(rateLimited, api).shouldRetry).toBe(false);
+    expect(custom.getRecoveryAction(rateLimited, api).type).toBe('feedback');
+  });
+
+  describe('retryAfter', () => {
+    const retryAfter = (error: Error) => handler.getRecoveryAction(error, api).retryAfter;
+
+    test('reads the Retry-After header in seconds or as a date', () => {
+      expect(retryAfter(apiError('Too many requests', { status: 429, response: { headers: { 'retry-after': '7' } } }))).toBe(7000);
+
+      const headers = new Headers({ 'retry-after': new Date(Date.now() + 60_000).toUTCString() });
+      const delay = retryAfter(apiError('Too many requests', { status: 429, response: { headers } }));
+      expect(delay).toBeGreaterThan(55_000);
+      expect(delay).toBeLessThanOrEqual(60_000);
+    });
+
+    test('reads the RetryInfo detail of quota errors', () => {
+      const error = apiError('Quota exceeded for metric. {"@type": "type.googleapis.com/google.rpc.RetryInfo", "retryDelay": "12.5s"}');
+      expect(retryAfter(error)).toBe(12500);
+      expect(retryAfter(apiError('Rate limit exceeded, retry after 3s'))).toBe(3000);
+    });
+
+    test('is only set for rate limits', () => {
+      expect(retryAfter(apiError('Unavailable', { status: 503, response: { headers: { 'retry-after': '7' } } }))).toBeUndefined();
+      expect(retryAfter(apiError('Too many requests', { status: 429 }))).toBeUndefined();
+    });
+  });
+
+  test('feeds tool errors back unless they match a fatal pattern', () => {
+    const strict = new DefaultErrorHandlingStrategy(createStrategy({ getFatalErrorPatterns: () => [/disk full/i] }));
+
+    expect(strict.classifyError(new Error('Disk full'), tool)).toMatchObject({ severity: 'fatal', shouldTerminate: true });
+    expect(strict.classifyError(new Error('File not found'), tool)).toMatchObject({ severity: 'recoverable', category: 'tool' });
+    expect(strict.classifyError(new Error('Tool "x" not found in registry'), tool).severity).toBe('recoverable');
+    expect(strict.getRecoveryAction(new Error('File not found'), tool)).toEqual({ type: 'feedback' });
+
+    // Without a task strategy, connection and permission errors are fatal
+    expect(handler.classifyError(new Error('ECONNREFUSED'), tool).severity).toBe('fatal');
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Tests for the event stream of an execution
+ */
+
+import { TaskEngine, TaskEvent, TaskResult } from '../src';
+import { TaskEventChannel } from '../src/core/TaskEventChannel';
+import { ScriptedContentGenerator, ScriptedConfigurationBuilder, FakeTool } from '../src/testing';
+import { createStrategy, useWorkspace } from './helpers';
+
+function event(turn: number): TaskEvent {
+  return { type: 'turn_started', turn, sessionId: 'events', timestamp: new Date(0).toISOString() };
+}
+
+describe('TaskEventChannel', () => {
+  test('keeps only the most recent events for iterators attached later', async () => {
+    const channel = new TaskEventChannel(2);
+    const execution = channel.attach(Promise.resolve({} as TaskResult));
+    const early = execution[Symbol.asyncIterator]();
+
+    [1, 2, 3].forEach(turn => channel.push(event(turn)));
+    await execution;
+
+    const late: TaskEvent[] = [];
+    for await (const received of execution) {
+      late.push(received);
+    }
+    const attached: TaskEvent[] = [];
+    for (let next = await early.next(); !next.done; next = await early.next()) {
+      attached.push(next.value);
+    }
+
+    expect(late.map(received => received.type === 'turn_started' && received.turn)).toEqual([2, 3]);
+    expect(attached).toHaveLength(3);
+  });
+});
+
+describe('Execution events', () => {
+  const workspace = useWorkspace('task-engine-events-');
+
+  test('streams the events of a task in order and ends with task_finished', async () => {
+    const model = new ScriptedContentGenerator([
+      { text: ['Reading ', 'the file'], functionCalls: [{ name: 'read', args: { path: 'a.txt' } }] },
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' }
+    ]);
+    const engine = new TaskEngine({
+      strategy: createStrategy(),
+      configBuilder: new ScriptedConfigurationBuilder({ model, tools: [new FakeTool('read'), new FakeTool('complete_task')] })
+    });
+
+    const execution = engine.executeTask({ sessionId: 'events', description: 'Read a file', workingDirectory: workspace() });
+    const events: TaskEvent[] = [];
+    for await (const received of execution) {
+      events.push(received);
+    }
+    const result = await execution;
+
+    expect(result.success).toBe(true);
+    expect(events[0]).toMatchObject({ type: 'task_started', sessionId: 'events', resumed: false });
+    expect(events[events.length - 1]).toEqual(expect.objectContaining({ type: 'task_finished', result }));
+
+    // Deltas come before the text they add up to, and both before the turn's tool calls
+    const firstTurn = events
+      .filter(received => 'turn' in received && received.turn === 1)
+      .map(received => received.type === 'text_delta' ? received.delta : received.type === 'text_complete' ? `[${received.text}]` : received.type);
+    expect(firstTurn).toEqual(['turn_started', 'Reading ', 'the file', '[Reading the file]', 'tool_call_started', 'tool_call_finished']);
+  });
+});
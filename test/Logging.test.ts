@@ -0,0 +1,104 @@
+/**
+ * Tests for the injectable logger and the pino and winston adapters
+ */
+
+import { TaskEngine, ConsoleLogger, fromPino, fromWinston, Logger, LogFields, LogLevel } from '../src';
+import { ScriptedContentGenerator, ScriptedConfigurationBuilder, FakeTool } from '../src/testing';
+import { createStrategy, useWorkspace } from './helpers';
+
+function byLevel<T>(create: (level: LogLevel) => T): Record<LogLevel, T> {
+  return { debug: create('debug'), info: create('info'), warn: create('warn'), error: create('error') };
+}
+
+/**
+ * Logger that keeps every entry
+ */
+function recordingLogger() {
+  const entries: Array<{ level: LogLevel; message: string; fields?: LogFields }> = [];
+  const logger: Logger = byLevel(level => (message: string, fields?: LogFields) => {
+    entries.push({ level, message, fields });
+  });
+  return { logger, entries };
+}
+
+describe('Logging', () => {
+  const workspace = useWorkspace('task-engine-logging-');
+  const consoleMethods = ['log', 'info', 'warn', 'error', 'debug'] as const;
+  let savedConsole: Pick<Console, typeof consoleMethods[number]>;
+  let written: unknown[][];
+
+  beforeEach(() => {
+    savedConsole = { ...console };
+    written = [];
+    consoleMethods.forEach(method => {
+      console[method] = (...args: unknown[]) => written.push([method, ...args]);
+    });
+  });
+
+  afterEach(() => {
+    Object.assign(console, savedConsole);
+  });
+
+  function runTask(logger?: Logger) {
+    const model = new ScriptedContentGenerator([
+      { functionCalls: [{ name: 'forbidden' }] },
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' }
+    ]);
+    const engine = new TaskEngine({
+      strategy: createStrategy({ isValidToolCall: toolName => toolName !== 'forbidden' }),
+      configBuilder: new ScriptedConfigurationBuilder({ model, tools: [new FakeTool('forbidden'), new FakeTool('complete_task')] }),
+      logger
+    });
+    return engine.executeTask({ sessionId: 'logged', description: 'Work', workingDirectory: workspace() });
+  }
+
+  test('writes nothing without a logger', async () => {
+    const result = await runTask();
+
+    expect(result.success).toBe(true);
+    // Apart from gemini-cli-core's own usage statistics notice
+    expect(written.filter(([, message]) => message !== 'Data collection is disabled.')).toEqual([]);
+  });
+
+  test('attaches the session, turn and tool to entries', async () => {
+    const { logger, entries } = recordingLogger();
+
+    await runTask(logger);
+
+    expect(entries.length).toBeGreaterThan(0);
+    entries.forEach(entry => expect(entry.fields).toMatchObject({ sessionId: 'logged', turn: expect.any(Number) }));
+    expect(entries).toContainEqual({
+      level: 'info',
+      message: 'Rejected tool call',
+      fields: expect.objectContaining({ sessionId: 'logged', turn: 1, toolName: 'forbidden', code: 'TOOL_REJECTED' })
+    });
+  });
+
+  test('ConsoleLogger filters by level and appends the fields', () => {
+    const logger = new ConsoleLogger('warn');
+
+    logger.info('Hidden', { turn: 1 });
+    logger.warn('Retrying', { attempt: 2 });
+    logger.error('Failed');
+
+    expect(written).toEqual([['warn', '[TaskEngine] Retrying {"attempt":2}'], ['error', '[TaskEngine] Failed']]);
+  });
+
+  test('adapts pino and winston argument order', () => {
+    const pinoCalls: unknown[][] = [];
+    const winstonCalls: unknown[][] = [];
+    const pino = fromPino(byLevel(level => (fields: object, message: string) => {
+      pinoCalls.push([level, fields, message]);
+    }));
+    const winston = fromWinston(byLevel(level => (message: string, meta?: object) => winstonCalls.push([level, message, meta])));
+
+    pino.warn('Retrying', { attempt: 2 });
+    pino.debug('No fields');
+    winston.error('Failed', { turn: 3 });
+    winston.info('No fields');
+
+    expect(pinoCalls).toEqual([['warn', { attempt: 2 }, 'Retrying'], ['debug', {}, 'No fields']]);
+    expect(winstonCalls).toEqual([['error', 'Failed', { turn: 3 }], ['info', 'No fields', undefined]]);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Tests for configuring several MCP servers per task
+ */
+
+import type { Config, ConfigParameters } from '@google/gemini-cli-core';
+import { TaskEngine, DefaultConfigurationBuilder, TaskRequest } from '../src';
+import { ScriptedConfigurationBuilder, FakeTool } from '../src/testing';
+import { createStrategy, useWorkspace } from './helpers';
+
+/**
+ * Scripted builder that keeps the request's MCP servers in the config without
+ * connecting to them
+ */
+class McpScriptedConfigurationBuilder extends ScriptedConfigurationBuilder {
+  protected createConfig(parameters: ConfigParameters): Config {
+    const config = super.createConfig(parameters);
+    config.getMcpServers = () => parameters.mcpServers;
+    return config;
+  }
+}
+
+describe('MCP servers', () => {
+  const workspace = useWorkspace('task-engine-mcp-');
+  const builder = new DefaultConfigurationBuilder();
+
+  function request(overrides: Partial<TaskRequest>): TaskRequest {
+    return { sessionId: 'mcp', description: 'Work', workingDirectory: workspace(), ...overrides };
+  }
+
+  test('merges the single-server shorthand with the server map', async () => {
+    const config = await builder.buildConfiguration(request({
+      mcpServerUrl: 'http://localhost:8080/sse',
+      mcpServerName: 'ghidra',
+      mcpTimeout: 5000,
+      mcpServers: {
+        filestore: { httpUrl: 'http://localhost:9000/mcp', headers: { Authorization: 'Bearer token' } },
+        internal: { command: 'node', args: ['./tools-server.js'], timeout: 1000 }
+      }
+    }));
+
+    const servers = config.getMcpServers()!;
+    expect(Object.keys(servers)).toEqual(['ghidra', 'filestore', 'internal']);
+    expect(servers.ghidra).toMatchObject({ url: 'http://localhost:8080/sse', timeout: 5000 });
+    expect(servers.filestore).toMatchObject({ httpUrl: 'http://localhost:9000/mcp', headers: { Authorization: 'Bearer token' }, timeout: 5000 });
+    expect(servers.internal).toMatchObject({ command: 'node', args: ['./tools-server.js'], timeout: 1000, trust: true });
+  });
+
+  test('rejects a map entry with the name of the shorthand server', async () => {
+    await expect(builder.buildConfiguration(request({
+      mcpServerCommand: 'node',
+      mcpServers: { 'default-mcp-server': { url: 'http://localhost:8080/sse' } }
+    }))).rejects.toThrow('MCP server "default-mcp-server" is defined both by mcpServerName and mcpServers');
+  });
+
+  test('requires exactly one transport per server', async () => {
+    await expect(builder.buildConfiguration(request({
+      mcpServers: {
+        none: {},
+        both: { url: 'http://localhost:8080/sse', command: 'node' },
+        one: { httpUrl: 'http://localhost:9000/mcp' }
+      }
+    }))).rejects.toThrow(
+      'Configuration validation failed: MCP server "none" must set exactly one of url, httpUrl or command, '
+      + 'MCP server "both" must set exactly one of url, httpUrl or command'
+    );
+  });
+
+  test('reports each server in status.mcpServers', async () => {
+    const engine = new TaskEngine({
+      strategy: createStrategy(),
+      configBuilder: new McpScriptedConfigurationBuilder({
+        model: [{ functionCalls: [{ name: 'complete_task' }] }, { text: 'Done' }],
+        tools: [new FakeTool('complete_task')]
+      })
+    });
+
+    const result = await engine.executeTask(request({
+      sessionId: 'mcp-status',
+      mcpServerUrl: 'http://localhost:8080/sse',
+      mcpServers: { filestore: { httpUrl: 'http://localhost:9000/mcp' } }
+    }));
+
+    expect(result.success).toBe(true);
+    expect(engine.getStatus('mcp-status')?.mcpServers).toEqual({
+      'default-mcp-server': { status: 'disconnected', toolCount: 0 },
+      filestore: { status: 'disconnected', toolCount: 0 }
+    });
+  });
+});
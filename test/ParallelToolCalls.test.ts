@@ -0,0 +1,89 @@
+/**
+ * Tests for running read-only tool calls in parallel
+ */
+
+import { TaskEngine } from '../src';
+import { ScriptedContentGenerator, ScriptedConfigurationBuilder, FakeTool } from '../src/testing';
+import { createStrategy, useWorkspace } from './helpers';
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Parallel tool calls', () => {
+  const workspace = useWorkspace('task-engine-parallel-');
+
+  test('runs read-only calls concurrently and answers in the order they were made', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const finished: string[] = [];
+    const readTool = (name: string, ms: number) => new FakeTool(name, {
+      handler: async () => {
+        maxRunning = Math.max(maxRunning, ++running);
+        await delay(ms);
+        running--;
+        finished.push(name);
+        return `${name} output`;
+      }
+    });
+    const model = new ScriptedContentGenerator([
+      { functionCalls: [{ name: 'first' }, { name: 'second' }, { name: 'third' }, { name: 'write' }] },
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' }
+    ]);
+    const engine = new TaskEngine({
+      strategy: createStrategy({ getToolClass: toolName => toolName === 'write' ? 'mutating' : 'read_only' }),
+      configBuilder: new ScriptedConfigurationBuilder({
+        model,
+        tools: [readTool('first', 150), readTool('second', 50), readTool('third', 10), readTool('write', 10), new FakeTool('complete_task')]
+      }),
+      maxParallelToolCalls: 2
+    });
+
+    const result = await engine.executeTask({ sessionId: 'parallel', description: 'Read', workingDirectory: workspace() });
+
+    expect(result.success).toBe(true);
+    expect(maxRunning).toBe(2);
+    expect(finished).toEqual(['second', 'third', 'first', 'write']);
+    const sent = model.requests[1].contents as Array<{ parts?: Array<{ functionResponse?: { name?: string } }> }>;
+    const responses = sent[sent.length - 1].parts?.map(part => part.functionResponse?.name);
+    expect(responses).toEqual(['first', 'second', 'third', 'write']);
+  });
+
+  test('waits for running calls and starts no new ones after a call fails', async () => {
+    let slowFinished = false;
+    const tools = [
+      new FakeTool('broken'),
+      new FakeTool('slow', {
+        handler: async () => {
+          await delay(200);
+          slowFinished = true;
+          return 'slow';
+        }
+      }),
+      new FakeTool('later'),
+      new FakeTool('complete_task')
+    ];
+    const model = new ScriptedContentGenerator([
+      { functionCalls: [{ name: 'broken' }, { name: 'slow' }, { name: 'later' }] }
+    ]);
+    const engine = new TaskEngine({
+      strategy: createStrategy({
+        getToolClass: () => 'read_only',
+        processToolResult: toolCall => {
+          if (toolCall.name === 'broken') {
+            throw new Error('Strategy failed on broken');
+          }
+          return { shouldContinue: true };
+        }
+      }),
+      configBuilder: new ScriptedConfigurationBuilder({ model, tools }),
+      maxParallelToolCalls: 2
+    });
+
+    const result = await engine.executeTask({ sessionId: 'failing', description: 'Read', workingDirectory: workspace() });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Strategy failed on broken');
+    expect(slowFinished).toBe(true);
+    expect(tools[2].calls).toHaveLength(0);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Tests for structured task results submitted via submit_result
+ */
+
+import { TaskEngine } from '../src';
+import { ScriptedContentGenerator, ScriptedConfigurationBuilder, FakeTool } from '../src/testing';
+import { createStrategy, useWorkspace } from './helpers';
+
+const resultSchema = {
+  type: 'object',
+  properties: {
+    patchedFunctions: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['patchedFunctions']
+};
+
+describe('Structured results', () => {
+  const workspace = useWorkspace('task-engine-result-');
+
+  test('validates the submitted result and returns it as data', async () => {
+    const model = new ScriptedContentGenerator([
+      { functionCalls: [{ name: 'submit_result', args: { patchedFunctions: 'main' } }] },
+      { functionCalls: [{ name: 'submit_result', args: { patchedFunctions: ['main', 'init'] } }] },
+      { text: 'Done' }
+    ]);
+    const engine = new TaskEngine({
+      configBuilder: new ScriptedConfigurationBuilder({ model, tools: [] })
+    });
+
+    const result = await engine.executeTask({ sessionId: 'result', description: 'Patch', workingDirectory: workspace(), resultSchema });
+
+    expect(result.success).toBe(true);
+    expect(result.data).toEqual({ patchedFunctions: ['main', 'init'] });
+    expect(JSON.stringify(model.requests[0].config?.tools)).toContain('submit_result');
+    expect(JSON.stringify(model.requests[1].contents)).toContain('does not match the schema');
+    expect(engine.getStatus('result')?.toolCalls.map(call => call.status)).toEqual(['error', 'completed']);
+  });
+
+  test('reminds the model to submit a result before completing', async () => {
+    const model = new ScriptedContentGenerator([
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' },
+      { functionCalls: [{ name: 'submit_result', args: { patchedFunctions: [] } }] },
+      { text: 'Submitted' }
+    ]);
+    const engine = new TaskEngine({
+      strategy: createStrategy(),
+      configBuilder: new ScriptedConfigurationBuilder({ model, tools: [new FakeTool('complete_task')] })
+    });
+
+    const result = await engine.executeTask({ sessionId: 'reminder', description: 'Patch', workingDirectory: workspace(), resultSchema });
+
+    expect(result.success).toBe(true);
+    expect(result.data).toEqual({ patchedFunctions: [] });
+    expect(JSON.stringify(model.requests[2].contents)).toContain('No result has been submitted yet');
+  });
+
+  test('fails when no result is submitted', async () => {
+    const model = new ScriptedContentGenerator([
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' },
+      { text: 'Done' },
+      { text: 'Done' }
+    ]);
+    const engine = new TaskEngine({
+      strategy: createStrategy(),
+      configBuilder: new ScriptedConfigurationBuilder({ model, tools: [new FakeTool('complete_task')] })
+    });
+
+    const result = await engine.executeTask({ sessionId: 'missing', description: 'Patch', workingDirectory: workspace(), resultSchema });
+
+    expect(result.success).toBe(false);
+    expect(result.data).toBeUndefined();
+    expect(result.error).toContain('submit_result');
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests for retrying model requests with backoff
+ */
+
+import { TaskEngine, DefaultErrorHandlingStrategy, DefaultErrorHandlingOptions } from '../src';
+import { ScriptedContentGenerator, ScriptedConfigurationBuilder, ScriptedResponse, FakeTool } from '../src/testing';
+import { createStrategy, useWorkspace } from './helpers';
+
+function apiError(message: string, fields: Record<string, unknown> = {}): ScriptedResponse {
+  return { error: Object.assign(new Error(message), fields) };
+}
+
+describe('Model request retries', () => {
+  const workspace = useWorkspace('task-engine-retries-');
+
+  async function run(failures: ScriptedResponse[], options: DefaultErrorHandlingOptions) {
+    const model = new ScriptedContentGenerator([
+      ...failures,
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' }
+    ]);
+    const strategy = createStrategy();
+    const engine = new TaskEngine({
+      strategy,
+      configBuilder: new ScriptedConfigurationBuilder({ model, tools: [new FakeTool('complete_task')] }),
+      errorHandler: new DefaultErrorHandlingStrategy(strategy, options)
+    });
+    const retries: Array<{ attempt: number; delay: number }> = [];
+    engine.on('retry', ({ attempt, delay }) => retries.push({ attempt, delay }));
+
+    const result = await engine.executeTask({ sessionId: 'retries', description: 'Work', workingDirectory: workspace() });
+    return { result, retries };
+  }
+
+  test('caps a server-requested delay at maxRetryDelay', async () => {
+    const { result, retries } = await run(
+      [apiError('Too many requests', { status: 429, response: { headers: { 'retry-after': '30' } } })],
+      { baseRetryDelay: 10, maxRetryDelay: 50 }
+    );
+
+    expect(result.success).toBe(true);
+    expect(retries).toEqual([{ attempt: 1, delay: 50 }]);
+  });
+
+  test('counts attempts separately for each error category', async () => {
+    const rateLimit = apiError('Too many requests', { status: 429 });
+    const reset = apiError('read ECONNRESET');
+
+    const { result, retries } = await run(
+      [rateLimit, rateLimit, reset, reset],
+      { baseRetryDelay: 10, retryBudgets: { rate_limit: 2, network: 2 } }
+    );
+
+    expect(result.success).toBe(true);
+    expect(retries.map(retry => retry.attempt)).toEqual([1, 2, 1, 2]);
+  });
+
+  test('fails once one category uses up its budget', async () => {
+    const reset = apiError('read ECONNRESET');
+
+    const { result, retries } = await run([reset, reset, reset], { baseRetryDelay: 10, retryBudgets: { network: 2 } });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Model request failed after 2 retries (network)');
+    expect(retries).toHaveLength(2);
+  });
+});
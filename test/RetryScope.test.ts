@@ -0,0 +1,91 @@
+/**
+ * Tests for keeping gemini-cli-core's retries out of the engine's way without
+ * patching globals, and for disposing an engine
+ */
+
+import { TaskEngine } from '../src';
+import { ScriptedContentGenerator, ScriptedConfigurationBuilder, ScriptedResponse, FakeTool } from '../src/testing';
+import { createStrategy, useWorkspace } from './helpers';
+
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error', 'debug'] as const;
+
+describe('Retry scope', () => {
+  const workspace = useWorkspace('task-engine-retry-scope-');
+
+  function createEngine(script: ScriptedResponse[], tools: FakeTool[] = []) {
+    const model = new ScriptedContentGenerator(script);
+    const engine = new TaskEngine({
+      strategy: createStrategy(),
+      configBuilder: new ScriptedConfigurationBuilder({ model, tools: [...tools, new FakeTool('complete_task')] })
+    });
+    return { engine, model };
+  }
+
+  test('leaves String.prototype.match and console untouched', async () => {
+    const match = String.prototype.match;
+    const consoleMethods = CONSOLE_METHODS.map(method => console[method]);
+    const duringTool: boolean[] = [];
+    const probe = new FakeTool('probe', {
+      handler: () => {
+        duringTool.push(String.prototype.match === match);
+        return 'ok';
+      }
+    });
+    const { engine } = createEngine([
+      { functionCalls: [{ name: 'probe' }] },
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' }
+    ], [probe]);
+
+    const result = await engine.executeTask({ sessionId: 'globals', description: 'Work', workingDirectory: workspace() });
+    await engine.dispose();
+
+    expect(result.success).toBe(true);
+    expect(duringTool).toEqual([true]);
+    expect(String.prototype.match).toBe(match);
+    CONSOLE_METHODS.forEach((method, index) => expect(console[method]).toBe(consoleMethods[index]));
+  });
+
+  test('the core does not retry a 400 error whose token count looks like a 5xx status', async () => {
+    const tooLong = Object.assign(
+      new Error('The input token count (1048577) exceeds the maximum number of tokens allowed (1048576).'),
+      { status: 400 }
+    );
+    const { engine, model } = createEngine([
+      { error: tooLong },
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' }
+    ]);
+    const retries: unknown[] = [];
+    engine.on('retry', event => retries.push(event));
+
+    const result = await engine.executeTask({ sessionId: 'too-long', description: 'Work', workingDirectory: workspace() });
+
+    // The error reaches the engine once, which reports it to the model instead of resending
+    expect(result.success).toBe(true);
+    expect(retries).toEqual([]);
+    expect(model.requests).toHaveLength(3);
+    expect(JSON.stringify(model.requests[1].contents)).toContain('[API Error: Token limit exceeded]');
+  });
+
+  test('dispose cancels running sessions and refuses new tasks', async () => {
+    let toolStarted!: () => void;
+    const started = new Promise<void>(resolve => { toolStarted = resolve; });
+    const hang = new FakeTool('hang', {
+      handler: (_, signal) => {
+        toolStarted();
+        return new Promise(resolve => signal.addEventListener('abort', () => resolve('aborted'), { once: true }));
+      }
+    });
+    const { engine } = createEngine([{ functionCalls: [{ name: 'hang' }] }], [hang]);
+
+    const running = engine.executeTask({ sessionId: 'running', description: 'Work', workingDirectory: workspace() });
+    await started;
+    await engine.dispose();
+
+    expect(await running).toMatchObject({ success: false, cancelled: true });
+    expect(engine.listSessions()).toEqual([]);
+    await expect(engine.executeTask({ sessionId: 'late', description: 'Work', workingDirectory: workspace() }))
+      .rejects.toThrow('TaskEngine has been disposed');
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * End-to-end tests of TaskEngine against a scripted model and fake tools
+ */
+
+import { TaskEngine, TaskStatus, DefaultErrorHandlingStrategy, ErrorContext } from '../src';
+import { ScriptedContentGenerator, ScriptedConfigurationBuilder, FakeTool } from '../src/testing';
+import { createStrategy, useWorkspace } from './helpers';
+
+function createWorkflowStrategy() {
+  return createStrategy({
+    calculateProgress: toolCalls => toolCalls.filter(call => call.status === 'completed').length * 50,
+    getFatalErrorPatterns: () => [/FATAL_ERROR/i],
+    getWorkflowSteps: () => [
+      { name: 'process', weight: 50, isRequired: true },
+      { name: 'complete_task', weight: 50, isRequired: true }
+    ],
+    isValidToolCall: toolName => ['process', 'complete_task'].includes(toolName)
+  });
+}
+
+describe('TaskEngine with a scripted model', () => {
+  const workspace = useWorkspace();
+  let statusUpdates: TaskStatus[];
+
+  beforeEach(() => {
+    statusUpdates = [];
+  });
+
+  function createEngine(model: ScriptedContentGenerator, tools: FakeTool[]): TaskEngine {
+    return new TaskEngine({
+      strategy: createWorkflowStrategy(),
+      configBuilder: new ScriptedConfigurationBuilder({ model, tools }),
+      onStatusUpdate: status => statusUpdates.push(structuredClone(status))
+    });
+  }
+
+  function request(sessionId: string) {
+    return { sessionId, description: 'Process the input', workingDirectory: workspace() };
+  }
+
+  test('completes when the strategy sees the completion tool', async () => {
+    const process = new FakeTool('process', { handler: args => ({ processed: args.input }) });
+    const complete = new FakeTool('complete_task');
+    const model = new ScriptedContentGenerator([
+      { text: ['Processing ', 'the input'], functionCalls: [{ name: 'process', args: { input: 'a' } }] },
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'All done' }
+    ]);
+
+    const result = await createEngine(model, [process, complete]).executeTask(request('complete'));
+
+    expect(result.success).toBe(true);
+    expect(result.metadata.turnCount).toBe(3);
+    expect(result.metadata.toolCallCount).toBe(2);
+    expect(process.calls).toEqual([{ input: 'a' }]);
+    expect(complete.calls).toHaveLength(1);
+    expect(model.remaining).toBe(0);
+
+    // The tool result is sent back to the model on the next request
+    const toolTurn = model.requests[1].contents as Array<{ parts?: Array<Record<string, any>> }>;
+    const functionResponse = toolTurn[toolTurn.length - 1].parts?.[0].functionResponse;
+    expect(functionResponse?.name).toBe('process');
+    expect(JSON.stringify(functionResponse?.response)).toContain('processed');
+
+    const percentages = statusUpdates.map(status => status.progress.percentage);
+    expect(percentages).toContain(50);
+    expect(percentages[percentages.length - 1]).toBe(100);
+    expect(statusUpdates[statusUpdates.length - 1].sessionState).toBe('completed');
+  });
+
+  test('fails when the model stops before the task is complete', async () => {
+    const model = new ScriptedContentGenerator([{ text: 'I cannot do this' }], { nextSpeaker: 'user' });
+
+    const result = await createEngine(model, [new FakeTool('complete_task')]).executeTask(request('incomplete'));
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('not completed');
+  });
+
+  test('stops on a tool error matching a fatal pattern', async () => {
+    const process = new FakeTool('process', {
+      handler: () => {
+        throw new Error('FATAL_ERROR: input corrupted');
+      }
+    });
+    const model = new ScriptedContentGenerator([
+      { functionCalls: [{ name: 'process', args: { input: 'a' } }] },
+      { functionCalls: [{ name: 'complete_task' }] }
+    ]);
+
+    const result = await createEngine(model, [process, new FakeTool('complete_task')]).executeTask(request('fatal'));
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('FATAL_ERROR');
+    expect(model.remaining).toBe(1);
+  });
+
+  test.each([
+    ['a successful finalResult', { success: true, outputPath: '/tmp/out.bin' }, { success: true, outputPath: '/tmp/out.bin' }],
+    ['a failed finalResult', { success: false, error: 'Input rejected' }, { success: false, error: 'Input rejected' }],
+    ['no finalResult', undefined, { success: false, error: 'Task stopped by strategy without a successful finalResult' }]
+  ])('ends the task when processToolResult stops with %s', async (_, finalResult, expected) => {
+    const model = new ScriptedContentGenerator([
+      { functionCalls: [{ name: 'process', args: { input: 'a' } }] },
+      { functionCalls: [{ name: 'complete_task' }] }
+    ]);
+    const engine = new TaskEngine({
+      strategy: createStrategy({
+        ...createWorkflowStrategy(),
+        processToolResult: () => ({ shouldContinue: false, finalResult })
+      }),
+      configBuilder: new ScriptedConfigurationBuilder({ model, tools: [new FakeTool('process'), new FakeTool('complete_task')] })
+    });
+
+    const result = await engine.executeTask(request('stop'));
+
+    expect(result).toMatchObject(expected);
+    expect(model.remaining).toBe(1);
+    expect(engine.getStatus('stop')?.sessionState).toBe(expected.success ? 'completed' : 'error');
+  });
+
+  test('reports rejected tool calls to the model without running them', async () => {
+    const forbidden = new FakeTool('delete_everything');
+    const model = new ScriptedContentGenerator([
+      { functionCalls: [{ name: 'delete_everything' }] },
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' }
+    ]);
+
+    const result = await createEngine(model, [forbidden, new FakeTool('complete_task')]).executeTask(request('rejected'));
+
+    expect(result.success).toBe(true);
+    expect(forbidden.calls).toHaveLength(0);
+    expect(JSON.stringify(model.requests[1].contents)).toContain('TOOL_REJECTED');
+  });
+
+  test('asks the approval hook before running tools that need approval', async () => {
+    const process = new FakeTool('process', { requiresApproval: true });
+    const model = new ScriptedContentGenerator([
+      { functionCalls: [{ name: 'process', args: { input: 'a' } }] },
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' }
+    ]);
+    const approvals: string[] = [];
+    const engine = new TaskEngine({
+      strategy: createWorkflowStrategy(),
+      configBuilder: new ScriptedConfigurationBuilder({ model, tools: [process, new FakeTool('complete_task')] }),
+      approvalMode: 'default',
+      onToolApproval: async ({ name }) => {
+        approvals.push(name);
+        return { decision: 'deny', reason: 'Not today' };
+      }
+    });
+
+    const result = await engine.executeTask(request('approval'));
+
+    expect(result.success).toBe(true);
+    expect(approvals).toEqual(['process']);
+    expect(process.calls).toHaveLength(0);
+    expect(JSON.stringify(model.requests[1].contents)).toContain('Not today');
+  });
+
+  test('checks and runs the arguments from a modify decision', async () => {
+    const process = new FakeTool('process', {
+      requiresApproval: true,
+      parameters: { type: 'object', properties: { input: { type: 'string' } }, required: ['input'] }
+    });
+    const model = new ScriptedContentGenerator([
+      { functionCalls: [{ name: 'process', args: { input: 'a' } }] },
+      { functionCalls: [{ name: 'process', args: { input: 'a' } }] },
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' }
+    ]);
+    const modified = [{ input: 42 }, { input: 'b' }];
+    const processed: unknown[] = [];
+    const started: unknown[] = [];
+    const engine = new TaskEngine({
+      strategy: createStrategy({
+        ...createWorkflowStrategy(),
+        processToolResult: toolCall => {
+          processed.push(toolCall.args);
+          return { shouldContinue: true };
+        }
+      }),
+      configBuilder: new ScriptedConfigurationBuilder({ model, tools: [process, new FakeTool('complete_task')] }),
+      approvalMode: 'default',
+      onToolApproval: async () => ({ decision: 'modify', args: modified.shift()! })
+    });
+    engine.on('tool_call_started', event => started.push(event.args));
+
+    const result = await engine.executeTask(request('modify'));
+
+    expect(result.success).toBe(true);
+    expect(JSON.stringify(model.requests[1].contents)).toContain('Modified arguments for process are invalid');
+    expect(process.calls).toEqual([{ input: 'b' }]);
+    expect(started).toContainEqual({ input: 'b' });
+    expect(processed).toContainEqual({ input: 'b' });
+    expect(processed).not.toContainEqual({ input: 'a' });
+  });
+
+  test('asks for approval before running a fallback tool', async () => {
+    const process = new FakeTool('process', {
+      handler: () => {
+        throw new Error('Processing backend offline');
+      }
+    });
+    const backup = new FakeTool('backup', { requiresApproval: true });
+    const model = new ScriptedContentGenerator([
+      { functionCalls: [{ name: 'process', args: { input: 'a' } }] },
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' }
+    ]);
+    const approvals: string[] = [];
+    const errorHandler = new DefaultErrorHandlingStrategy();
+    errorHandler.getRecoveryAction = (error: Error, context?: ErrorContext) => context?.toolName === 'process'
+      ? { type: 'fallback', fallbackTool: 'backup' }
+      : { type: 'feedback' };
+    const engine = new TaskEngine({
+      strategy: createStrategy({ ...createWorkflowStrategy(), isValidToolCall: () => true }),
+      configBuilder: new ScriptedConfigurationBuilder({ model, tools: [process, backup, new FakeTool('complete_task')] }),
+      errorHandler,
+      approvalMode: 'default',
+      onToolApproval: async ({ name }) => {
+        approvals.push(name);
+        return { decision: 'deny', reason: 'Backup is not approved' };
+      }
+    });
+
+    const result = await engine.executeTask(request('fallback'));
+
+    expect(result.success).toBe(true);
+    expect(approvals).toEqual(['backup']);
+    expect(backup.calls).toHaveLength(0);
+    expect(engine.getStatus('fallback')?.toolCalls[0]).toMatchObject({ name: 'process', status: 'error' });
+    expect(JSON.stringify(model.requests[1].contents)).toContain('Fallback to backup was refused (TOOL_DENIED): Backup is not approved');
+  });
+
+  test('retries transient model errors', async () => {
+    const model = new ScriptedContentGenerator([
+      { error: Object.assign(new Error('Service unavailable'), { status: 503 }) },
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' }
+    ]);
+    const engine = new TaskEngine({
+      strategy: createWorkflowStrategy(),
+      configBuilder: new ScriptedConfigurationBuilder({ model, tools: [new FakeTool('complete_task')] })
+    });
+    const events: string[] = [];
+    engine.on('retry', event => events.push(event.source));
+
+    const result = await engine.executeTask(request('retry'));
+
+    expect(result.success).toBe(true);
+    expect(events).toEqual(['api']);
+  }, 15000);
+});
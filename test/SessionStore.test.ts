@@ -0,0 +1,129 @@
+/**
+ * Tests for checkpoint storage and resuming sessions from a checkpoint
+ */
+
+import { join } from 'path';
+import type { Content } from '@google/genai';
+import { TaskEngine, FileSystemSessionStore, TaskCheckpoint } from '../src';
+import { ScriptedContentGenerator, ScriptedConfigurationBuilder, FakeTool } from '../src/testing';
+import { createStrategy, useWorkspace } from './helpers';
+
+function checkpoint(sessionId: string): TaskCheckpoint {
+  return {
+    version: 1,
+    sessionId,
+    request: { sessionId, description: 'Work', workingDirectory: '/tmp/work' },
+    sessionState: 'running',
+    history: [{ role: 'user', parts: [{ text: 'Work' }] }, { role: 'model', parts: [{ text: 'On it' }] }],
+    pendingMessage: [{ text: 'Continue' }],
+    toolCalls: [{ callId: 'step-1', name: 'step', args: { n: 1 }, status: 'completed', startTime: 1, result: 'ok' }],
+    turnCount: 2,
+    sessionTurnCount: 2,
+    extractedData: { exportPath: '/tmp/out.bin' },
+    totalDuration: 1500,
+    updatedAt: new Date(0).toISOString()
+  };
+}
+
+/**
+ * Gemini rejects a conversation unless user and model turns alternate and each
+ * turn of function calls is answered by the next one
+ */
+function expectWellFormed(contents: Content[]) {
+  contents.forEach((content, index) => {
+    expect(content.role).toBe(index % 2 === 0 ? 'user' : 'model');
+    const calls = content.parts?.flatMap(part => part.functionCall ? [part.functionCall.name] : []) ?? [];
+    const responses = contents[index + 1]?.parts?.flatMap(part => part.functionResponse ? [part.functionResponse.name] : []) ?? [];
+    if (calls.length > 0) {
+      expect(responses).toEqual(calls);
+    }
+  });
+}
+
+describe('FileSystemSessionStore', () => {
+  const workspace = useWorkspace('task-engine-store-');
+
+  test('saves, lists, loads and deletes checkpoints', async () => {
+    const store = new FileSystemSessionStore(join(workspace(), 'sessions'));
+    const saved = [checkpoint('plain'), checkpoint('nested/../id')];
+
+    for (const entry of saved) {
+      await store.save(entry);
+    }
+
+    expect((await store.list()).sort()).toEqual(['nested/../id', 'plain']);
+    expect(await store.load('nested/../id')).toEqual(saved[1]);
+
+    await store.save({ ...saved[0], turnCount: 3 });
+    expect((await store.load('plain'))?.turnCount).toBe(3);
+
+    await store.delete('plain');
+    expect(await store.load('plain')).toBeUndefined();
+    expect(await store.list()).toEqual(['nested/../id']);
+  });
+
+  test('treats a missing directory as empty', async () => {
+    const store = new FileSystemSessionStore(join(workspace(), 'missing'));
+
+    expect(await store.list()).toEqual([]);
+    expect(await store.load('any')).toBeUndefined();
+    await expect(store.delete('any')).resolves.toBeUndefined();
+  });
+});
+
+describe('Resuming sessions', () => {
+  const workspace = useWorkspace('task-engine-resume-');
+
+  function createEngine(model: ScriptedContentGenerator, tools: FakeTool[]) {
+    return new TaskEngine({
+      strategy: createStrategy(),
+      configBuilder: new ScriptedConfigurationBuilder({ model, tools }),
+      sessionStore: new FileSystemSessionStore(join(workspace(), 'sessions'))
+    });
+  }
+
+  test('continues an interrupted session from its last checkpoint', async () => {
+    const controller = new AbortController();
+    const firstModel = new ScriptedContentGenerator([
+      { functionCalls: [{ name: 'step', args: { n: 1 } }] },
+      { functionCalls: [{ name: 'step', args: { n: 2 } }] }
+    ]);
+    const interruptingStep = new FakeTool('step', {
+      handler: args => {
+        if (args.n === 2) {
+          controller.abort();
+        }
+        return `step ${args.n} output`;
+      }
+    });
+    const first = await createEngine(firstModel, [interruptingStep, new FakeTool('complete_task')]).executeTask({
+      sessionId: 'resumable',
+      description: 'Work in steps',
+      workingDirectory: workspace(),
+      abortSignal: controller.signal
+    });
+    expect(first.cancelled).toBe(true);
+
+    const model = new ScriptedContentGenerator([
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' }
+    ]);
+    const step = new FakeTool('step');
+    const engine = createEngine(model, [step, new FakeTool('complete_task')]);
+    const result = await engine.resumeTask('resumable');
+
+    expect(result.success).toBe(true);
+    expect(step.calls).toHaveLength(0);
+    // The turns before the interrupted one are replayed from the checkpoint, not re-run
+    const contents = model.requests[0].contents as Content[];
+    expectWellFormed(contents);
+    expect(JSON.stringify(contents)).toContain('Work in steps');
+    expect(JSON.stringify(contents[contents.length - 1])).toContain('step 1 output');
+    expect(JSON.stringify(contents)).not.toContain('"n":2');
+    expect(engine.getStatus('resumable')?.toolCalls.map(call => call.name)).toEqual(['step', 'step', 'complete_task']);
+    expect(result.metadata.turnCount).toBeGreaterThan(2);
+
+    await expect(engine.resumeTask('resumable')).rejects.toThrow('has already completed');
+    await expect(engine.resumeTask('unknown')).rejects.toThrow('No checkpoint found');
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for session state: terminal states, cancellation and concurrent sessions
+ */
+
+import { TaskEngine, TaskRequest } from '../src';
+import { ScriptedContentGenerator, ScriptedConfigurationBuilder, ScriptedResponse, FakeTool } from '../src/testing';
+import { createStrategy, useWorkspace } from './helpers';
+
+describe('Session state', () => {
+  const workspace = useWorkspace('task-engine-sessions-');
+
+  function createEngine(script: ScriptedResponse[]) {
+    return new TaskEngine({
+      strategy: createStrategy(),
+      configBuilder: new ScriptedConfigurationBuilder({
+        model: new ScriptedContentGenerator(script),
+        tools: [new FakeTool('step'), new FakeTool('complete_task')]
+      })
+    });
+  }
+
+  test.each<[string, ScriptedResponse[], Partial<TaskRequest>]>([
+    ['a non-retryable API error', [{ error: Object.assign(new Error('Permission denied'), { status: 403 }) }], {}],
+    ['the max turns limit', [{ functionCalls: [{ name: 'step' }] }], { maxTurns: 1 }],
+    ['an invalid request', [], { approvalMode: 'sometimes' as TaskRequest['approvalMode'] }],
+    ['a model that stops early', [{ text: 'I give up' }], {}]
+  ])('ends in the error state after %s', async (_, script, overrides) => {
+    const engine = createEngine(script);
+
+    const result = await engine.executeTask({
+      sessionId: 'failing',
+      description: 'Fail',
+      workingDirectory: workspace(),
+      ...overrides
+    });
+
+    expect(result.success).toBe(false);
+    const status = engine.getStatus('failing');
+    expect(status?.sessionState).toBe('error');
+    expect(status?.finalResult).toMatchObject({ success: false, error: result.error });
+    expect(status?.endTime).toBeDefined();
+    expect(engine.listSessions().map(session => session.sessionState)).toEqual(['error']);
+  });
+
+  test('ends in the completed state', async () => {
+    const engine = createEngine([{ functionCalls: [{ name: 'complete_task' }] }, { text: 'Done' }]);
+
+    const result = await engine.executeTask({ sessionId: 'done', description: 'Finish', workingDirectory: workspace() });
+
+    expect(result.success).toBe(true);
+    expect(engine.getStatus('done')).toMatchObject({ sessionState: 'completed', finalResult: { success: true } });
+    expect(engine.getStatus('done')?.endTime).toBeDefined();
+  });
+
+  test('cancels a running tool call on abort', async () => {
+    let toolStarted!: () => void;
+    const started = new Promise<void>(resolve => { toolStarted = resolve; });
+    // Ignores the abort signal, so the engine has to stop waiting on its own
+    const stuck = new FakeTool('stuck', {
+      handler: () => {
+        toolStarted();
+        return new Promise(() => {});
+      }
+    });
+    const model = new ScriptedContentGenerator([{ functionCalls: [{ name: 'stuck' }] }, { text: 'Never sent' }]);
+    const engine = new TaskEngine({
+      strategy: createStrategy(),
+      configBuilder: new ScriptedConfigurationBuilder({ model, tools: [stuck, new FakeTool('complete_task')] })
+    });
+
+    const execution = engine.executeTask({ sessionId: 'aborted', description: 'Get stuck', workingDirectory: workspace() });
+    await started;
+    await engine.abort('aborted');
+    const result = await execution;
+
+    expect(result).toMatchObject({ success: false, cancelled: true });
+    expect(model.requests).toHaveLength(1);
+    expect(engine.getStatus('aborted')).toMatchObject({ sessionState: 'cancelled', finalResult: { success: false } });
+    expect(engine.getStatus('aborted')?.endTime).toBeDefined();
+  });
+
+  test('runs two sessions on one engine at the same time', async () => {
+    // Both sessions share the model, so each step answers from the conversation it is sent
+    const step: ScriptedResponse = request => {
+      const conversation = JSON.stringify(request.contents);
+      const task = conversation.includes('Handle alpha') ? 'alpha' : 'beta';
+      if (conversation.includes('"name":"complete_task"')) {
+        return { text: `Done with ${task}` };
+      }
+      if (conversation.includes('"name":"work"')) {
+        return { functionCalls: [{ name: 'complete_task' }] };
+      }
+      return { functionCalls: [{ name: 'work', args: { task } }] };
+    };
+    let arrived = 0;
+    let bothWorking!: () => void;
+    const barrier = new Promise<void>(resolve => { bothWorking = resolve; });
+    // Each call waits for the other session's call, which only works if they overlap
+    const work = new FakeTool('work', {
+      handler: async args => {
+        if (++arrived === 2) {
+          bothWorking();
+        }
+        await barrier;
+        return `${args.task} worked`;
+      }
+    });
+    const engine = new TaskEngine({
+      strategy: createStrategy(),
+      configBuilder: new ScriptedConfigurationBuilder({
+        model: new ScriptedContentGenerator(Array(6).fill(step)),
+        tools: [work, new FakeTool('complete_task')]
+      })
+    });
+
+    const [alpha, beta] = await Promise.all([
+      engine.executeTask({ sessionId: 'alpha', description: 'Handle alpha', workingDirectory: workspace() }),
+      engine.executeTask({ sessionId: 'beta', description: 'Handle beta', workingDirectory: workspace() })
+    ]);
+
+    expect(alpha.success).toBe(true);
+    expect(beta.success).toBe(true);
+    expect(engine.getStatus('alpha')?.toolCalls.map(call => [call.name, call.args])).toEqual([['work', { task: 'alpha' }], ['complete_task', {}]]);
+    expect(engine.getStatus('beta')?.toolCalls.map(call => [call.name, call.args])).toEqual([['work', { task: 'beta' }], ['complete_task', {}]]);
+    expect(engine.listSessions().map(session => session.sessionState)).toEqual(['completed', 'completed']);
+  });
+});
@@ -2,7 +2,16 @@
  * Basic tests for TaskEngine
  */
 
-import { TaskEngine, TaskStrategy, TaskWorkflowStep, ToolCall, ToolResponse, TaskProcessingResult } from '../src';
+import {
+  TaskEngine,
+  TaskStrategy,
+  TaskWorkflowStep,
+  ToolCall,
+  ToolResponse,
+  TaskProcessingResult,
+  TaskResult
+} from '../src';
+import { ScriptedConfigurationBuilder } from '../src/testing';
 
 // Mock strategy for testing
 class MockTaskStrategy implements TaskStrategy {
@@ -68,9 +77,15 @@ describe('TaskEngine', () => {
       workingDirectory: '/tmp'
     };
 
-    // Note: This test will fail without proper gemini-cli setup
-    // It's mainly for structure validation
-    expect(() => taskEngine.executeTask(request)).not.toThrow();
+    // A scripted model stands in for Gemini, so no auth or network is needed
+    const engine = new TaskEngine({
+      strategy: mockStrategy,
+      configBuilder: new ScriptedConfigurationBuilder({ model: [{ text: 'Nothing to do' }] })
+    });
+
+    let execution: Promise<TaskResult> | undefined;
+    expect(() => { execution = engine.executeTask(request); }).not.toThrow();
+    await expect(execution).resolves.toHaveProperty('sessionId', 'test-session');
   });
 
   test('mock strategy should work correctly', () => {
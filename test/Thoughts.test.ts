@@ -0,0 +1,64 @@
+/**
+ * Tests for publishing model thoughts
+ */
+
+import { TaskEngine, TaskEvent } from '../src';
+import { ScriptedContentGenerator, ScriptedConfigurationBuilder, FakeTool } from '../src/testing';
+import { createStrategy, useWorkspace } from './helpers';
+
+describe('Model thoughts', () => {
+  const workspace = useWorkspace('task-engine-thoughts-');
+
+  async function run(includeThoughts: boolean) {
+    const model = new ScriptedContentGenerator([
+      {
+        // The second chunk has no subject, so it continues the first thought
+        thoughts: ['**Planning the read** Read the file first', 'then summarize it'],
+        parts: [{ text: '**Checking** Looking at a.txt', thought: true }, { text: 'Reading a.txt' }],
+        functionCalls: [{ name: 'read' }]
+      },
+      { thoughts: ['Wrapping up'], functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' }
+    ]);
+    const engine = new TaskEngine({
+      strategy: createStrategy(),
+      configBuilder: new ScriptedConfigurationBuilder({ model, tools: [new FakeTool('read'), new FakeTool('complete_task')] })
+    });
+    const events: TaskEvent[] = [];
+    engine.on('event', event => events.push(event));
+
+    const result = await engine.executeTask({
+      sessionId: 'thoughts',
+      description: 'Read a file',
+      workingDirectory: workspace(),
+      includeThoughts
+    });
+
+    return { model, events, result, status: engine.getStatus('thoughts')! };
+  }
+
+  test('parses subjects, joins continuation chunks and keeps the text after a thought', async () => {
+    const { model, events, result, status } = await run(true);
+
+    expect(result.success).toBe(true);
+    expect(model.requests[0].config?.thinkingConfig?.includeThoughts).toBe(true);
+    expect(status.thoughts).toEqual([
+      { turn: 1, subject: 'Planning the read', description: 'Read the file first\nthen summarize it' },
+      { turn: 1, subject: 'Checking', description: 'Looking at a.txt' },
+      { turn: 2, subject: '', description: 'Wrapping up' }
+    ]);
+    expect(events.filter(event => event.type === 'thought')).toHaveLength(4);
+    expect(events).toContainEqual(expect.objectContaining({ type: 'text_complete', turn: 1, text: 'Reading a.txt' }));
+  });
+
+  test('publishes no thoughts with includeThoughts false', async () => {
+    const { model, events, result, status } = await run(false);
+
+    expect(result.success).toBe(true);
+    expect(model.requests[0].config?.thinkingConfig?.includeThoughts).toBe(false);
+    expect(status.thoughts).toBeUndefined();
+    expect(status.currentThought).toBeUndefined();
+    expect(events.map(event => event.type)).not.toContain('thought');
+    expect(events).toContainEqual(expect.objectContaining({ type: 'text_complete', turn: 1, text: 'Reading a.txt' }));
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Tests for tool and model stream timeouts and failures midway through a response
+ */
+
+import { TaskEngine, TaskStatus, DefaultErrorHandlingStrategy } from '../src';
+import { TimeoutController } from '../src/core/TimeoutController';
+import { ScriptedContentGenerator, ScriptedConfigurationBuilder, ScriptedResponse, FakeTool } from '../src/testing';
+import { createStrategy, useWorkspace } from './helpers';
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Tool that only finishes once it is aborted
+ */
+function hangingTool(name: string) {
+  return new FakeTool(name, {
+    handler: (_, signal) => new Promise(resolve => signal.addEventListener('abort', () => resolve('aborted'), { once: true }))
+  });
+}
+
+describe('TimeoutController', () => {
+  test('aborts once the timeout passes without a touch', async () => {
+    // Half a timeout of slack either side, so a busy machine does not flip the result
+    const timeout = new TimeoutController(new AbortController().signal, 1000);
+
+    await delay(500);
+    timeout.touch();
+    await delay(500);
+    expect(timeout.signal.aborted).toBe(false);
+
+    await delay(1000);
+    expect(timeout.signal.aborted).toBe(true);
+    expect(timeout.timedOut).toBe(true);
+    timeout.dispose();
+  });
+
+  test('follows the parent signal without reporting a timeout', () => {
+    const parent = new AbortController();
+    const timeout = new TimeoutController(parent.signal, 1000);
+
+    parent.abort();
+
+    expect(timeout.signal.aborted).toBe(true);
+    expect(timeout.timedOut).toBe(false);
+    timeout.dispose();
+    expect(new TimeoutController(parent.signal, 1000).signal.aborted).toBe(true);
+  });
+
+  test('never times out without a positive timeout', async () => {
+    const timeout = new TimeoutController(new AbortController().signal, 0);
+
+    await delay(20);
+
+    expect(timeout.timeout).toBeUndefined();
+    expect(timeout.signal.aborted).toBe(false);
+    timeout.dispose();
+  });
+
+  test('stops the timer on dispose', async () => {
+    const timeout = new TimeoutController(new AbortController().signal, 20);
+
+    timeout.dispose();
+    await delay(40);
+
+    expect(timeout.signal.aborted).toBe(false);
+  });
+});
+
+describe('Tool timeouts', () => {
+  const workspace = useWorkspace('task-engine-tool-timeouts-');
+
+  test('reports a hung tool to the model and carries on', async () => {
+    const model = new ScriptedContentGenerator([
+      { functionCalls: [{ name: 'hang' }, { name: 'slow' }] },
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' }
+    ]);
+    const engine = new TaskEngine({
+      strategy: createStrategy({ getToolTimeout: toolName => toolName === 'slow' ? 1000 : undefined }),
+      configBuilder: new ScriptedConfigurationBuilder({
+        model,
+        tools: [
+          hangingTool('hang'),
+          new FakeTool('slow', { handler: () => delay(100).then(() => 'slow output') }),
+          new FakeTool('complete_task')
+        ]
+      })
+    });
+
+    const result = await engine.executeTask({
+      sessionId: 'tools',
+      description: 'Run tools',
+      workingDirectory: workspace(),
+      toolTimeout: 50
+    });
+
+    expect(result.success).toBe(true);
+    const [hang, slow] = engine.getStatus('tools')!.toolCalls;
+    expect(hang).toMatchObject({ name: 'hang', status: 'error', errorReason: 'timeout' });
+    expect(hang.error).toContain('timed out after 50ms');
+    expect(slow).toMatchObject({ name: 'slow', status: 'completed' });
+    expect(JSON.stringify(model.requests[1].contents)).toContain('Tool hang timed out after 50ms');
+  });
+});
+
+describe('Task deadline', () => {
+  const workspace = useWorkspace('task-engine-deadline-');
+
+  test('ends a task that runs past its timeout with timedOut', async () => {
+    const model = new ScriptedContentGenerator([{ functionCalls: [{ name: 'hang' }] }]);
+    const engine = new TaskEngine({
+      strategy: createStrategy(),
+      configBuilder: new ScriptedConfigurationBuilder({ model, tools: [hangingTool('hang'), new FakeTool('complete_task')] })
+    });
+
+    const result = await engine.executeTask({
+      sessionId: 'deadline',
+      description: 'Never finishes',
+      workingDirectory: workspace(),
+      timeout: 300
+    });
+
+    expect(result).toMatchObject({ success: false, timedOut: true, error: 'Task timed out after 300ms' });
+    expect(result.cancelled).toBeUndefined();
+    expect(engine.getStatus('deadline')).toMatchObject({
+      sessionState: 'error',
+      finalResult: { success: false, error: 'Task timed out after 300ms' }
+    });
+  });
+});
+
+describe('Model stream failures', () => {
+  const workspace = useWorkspace('task-engine-timeouts-');
+
+  function createEngine(model: ScriptedContentGenerator, statuses: TaskStatus[] = []) {
+    const strategy = createStrategy();
+    return new TaskEngine({
+      strategy,
+      configBuilder: new ScriptedConfigurationBuilder({ model, tools: [new FakeTool('complete_task')] }),
+      errorHandler: new DefaultErrorHandlingStrategy(strategy, { baseRetryDelay: 10 }),
+      onStatusUpdate: status => statuses.push(structuredClone(status))
+    });
+  }
+
+  test.each<[string, ScriptedResponse]>([
+    ['stalls after the first chunk', { text: 'Half an answer', stall: 2000, functionCalls: [{ name: 'complete_task' }] }],
+    ['fails after the first chunk', { text: 'Half an answer', streamError: new Error('socket hang up') }]
+  ])('retries the turn when the stream %s', async (_, failing) => {
+    const model = new ScriptedContentGenerator([
+      failing,
+      { text: 'Full answer', functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' }
+    ]);
+    const statuses: TaskStatus[] = [];
+    const engine = createEngine(model, statuses);
+    const retries: unknown[] = [];
+    engine.on('retry', event => retries.push(event));
+
+    const result = await engine.executeTask({
+      sessionId: 'stream',
+      description: 'Answer',
+      workingDirectory: workspace(),
+      streamIdleTimeout: 400
+    });
+
+    expect(result.success).toBe(true);
+    expect(retries).toEqual([expect.objectContaining({ source: 'api', attempt: 1 })]);
+    expect(model.remaining).toBe(0);
+    // The retry resends the same turn and the partial text is dropped
+    expect(model.requests[1].contents).toEqual(model.requests[0].contents);
+    const retrying = statuses.find(status => status.currentAction.type === 'retrying');
+    expect(retrying?.llmStream).toBeUndefined();
+    expect(engine.getStatus('stream')?.toolCalls).toHaveLength(1);
+  });
+
+  test('retries a request that gets no response in time', async () => {
+    const model = new ScriptedContentGenerator([
+      { delay: 2000, text: 'Too late' },
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' }
+    ]);
+    const engine = createEngine(model);
+    const errors: string[] = [];
+    engine.on('retry', event => errors.push(event.error));
+
+    const result = await engine.executeTask({
+      sessionId: 'request',
+      description: 'Answer',
+      workingDirectory: workspace(),
+      streamIdleTimeout: 400
+    });
+
+    expect(result.success).toBe(true);
+    expect(errors).toEqual(['Model request timeout: no response within 400ms']);
+  });
+
+  test('fails the task once the retries are used up', async () => {
+    const stall: ScriptedResponse = { text: 'Half an answer', stall: 2000 };
+    const model = new ScriptedContentGenerator([stall, stall, stall, stall, stall]);
+
+    const result = await createEngine(model).executeTask({
+      sessionId: 'stalled',
+      description: 'Answer',
+      workingDirectory: workspace(),
+      streamIdleTimeout: 400
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Model stream timeout');
+    expect(model.remaining).toBe(0);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests for tool output limits and spilling large outputs to disk
+ */
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { truncateText } from '../src/core/ToolOutputLimiter';
+import { TaskEngine, ToolOutputPolicy } from '../src';
+import { ScriptedContentGenerator, ScriptedConfigurationBuilder, FakeTool } from '../src/testing';
+import { createStrategy, useWorkspace } from './helpers';
+
+function createOutputStrategy(policies: Record<string, ToolOutputPolicy> = {}) {
+  return createStrategy({ getToolOutputPolicy: toolName => policies[toolName] });
+}
+
+describe('truncateText', () => {
+  const text = 'abcdefghijklmnopqrstuvwxyz';
+
+  test('keeps the head, the tail or both', () => {
+    expect(truncateText(text, { maxChars: 4, truncation: 'head' })).toBe('abcd\n[... 22 characters omitted ...]');
+    expect(truncateText(text, { maxChars: 4, truncation: 'tail' })).toBe('[... 22 characters omitted ...]\nwxyz');
+    expect(truncateText(text, { maxChars: 4 })).toBe('ab\n[... 22 characters omitted ...]\nyz');
+  });
+
+  test('leaves short text alone', () => {
+    expect(truncateText(text, { maxChars: 26 })).toBe(text);
+  });
+});
+
+describe('TaskEngine tool output policies', () => {
+  const workspace = useWorkspace('task-engine-output-');
+
+  const bigOutput = 'line\n'.repeat(2000);
+
+  function script() {
+    return new ScriptedContentGenerator([
+      { functionCalls: [{ name: 'dump', id: 'dump-1' }] },
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' }
+    ]);
+  }
+
+  test('spills large outputs to a file and sends the model a truncated copy', async () => {
+    const workingDirectory = workspace();
+    const model = script();
+    const engine = new TaskEngine({
+      strategy: createOutputStrategy({ dump: { maxChars: 100, spill: true } }),
+      configBuilder: new ScriptedConfigurationBuilder({
+        model,
+        tools: [new FakeTool('dump', { handler: () => bigOutput }), new FakeTool('complete_task')]
+      })
+    });
+    const finished: unknown[] = [];
+    engine.on('tool_call_finished', event => finished.push(event));
+
+    const result = await engine.executeTask({ sessionId: 'output', description: 'Dump', workingDirectory });
+
+    expect(result.success).toBe(true);
+    const call = engine.getStatus('output')?.toolCalls.find(toolCall => toolCall.name === 'dump');
+    expect(call?.artifact).toEqual({
+      path: join(workingDirectory, '.task-outputs', 'output', 'dump-1-dump.txt'),
+      size: bigOutput.length
+    });
+    expect(readFileSync(call!.artifact!.path, 'utf-8')).toBe(bigOutput);
+    expect(call?.result?.length).toBeLessThan(200);
+    expect(finished).toContainEqual(expect.objectContaining({ name: 'dump', artifact: call?.artifact }));
+
+    const sent = model.requests[1].contents as Array<{ parts?: Array<{ functionResponse?: { response?: { output?: string } } }> }>;
+    const output = sent[sent.length - 1].parts?.[0].functionResponse?.response?.output;
+    expect(output).toContain('characters omitted');
+    expect(output).toContain(call!.artifact!.path);
+    expect(output!.length).toBeLessThan(bigOutput.length);
+  });
+
+  test('applies the engine default without writing files', async () => {
+    const workingDirectory = workspace();
+    const model = script();
+    const engine = new TaskEngine({
+      strategy: createOutputStrategy(),
+      configBuilder: new ScriptedConfigurationBuilder({
+        model,
+        tools: [new FakeTool('dump', { handler: () => bigOutput }), new FakeTool('complete_task')]
+      }),
+      toolOutputPolicy: { maxChars: 50, truncation: 'tail' }
+    });
+
+    const result = await engine.executeTask({ sessionId: 'default', description: 'Dump', workingDirectory });
+
+    expect(result.success).toBe(true);
+    const call = engine.getStatus('default')?.toolCalls.find(toolCall => toolCall.name === 'dump');
+    expect(call?.artifact).toBeUndefined();
+    expect(call?.result?.startsWith('[... 9950 characters omitted ...]')).toBe(true);
+    expect(JSON.stringify(model.requests[1].contents)).not.toContain('line\\n'.repeat(20));
+  });
+});
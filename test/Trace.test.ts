@@ -0,0 +1,56 @@
+/**
+ * Tests for recording session traces and replaying them
+ */
+
+import { TaskEngine, readTrace, traceFilePath } from '../src';
+import {
+  ScriptedContentGenerator,
+  ScriptedConfigurationBuilder,
+  ReplayConfigurationBuilder,
+  FakeTool
+} from '../src/testing';
+import { createStrategy, useWorkspace } from './helpers';
+
+describe('Session traces', () => {
+  const workspace = useWorkspace('task-engine-trace-');
+
+  test('records a session and replays it without the original model and tools', async () => {
+    const directory = workspace();
+    const process = new FakeTool('process', { handler: args => ({ processed: args.input }) });
+    const model = new ScriptedContentGenerator([
+      { text: 'Let me think' },
+      { functionCalls: [{ name: 'process', args: { input: 'a' } }] },
+      { error: Object.assign(new Error('Service unavailable'), { status: 503 }) },
+      { functionCalls: [{ name: 'complete_task' }] },
+      { text: 'Done' }
+    ], { nextSpeaker: 'model' });
+
+    const recording = new TaskEngine({
+      strategy: createStrategy(),
+      configBuilder: new ScriptedConfigurationBuilder({ model, tools: [process, new FakeTool('complete_task')] }),
+      traceDirectory: directory
+    });
+    const recorded = await recording.executeTask({ sessionId: 'traced', description: 'Process a', workingDirectory: directory });
+    expect(recorded.success).toBe(true);
+
+    const trace = await readTrace(traceFilePath(directory, 'traced'));
+    expect(trace[0]).toMatchObject({ type: 'session_started', resumed: false });
+    expect(trace[0].type === 'session_started' && trace[0].request.description).toBe('Process a');
+    expect(trace[trace.length - 1]).toMatchObject({ type: 'session_finished', result: { success: true } });
+    expect(trace.filter(entry => entry.type === 'model_request').map(entry => entry.type === 'model_request' && entry.kind))
+      .toEqual(['stream', 'json', 'stream', 'stream', 'stream', 'stream']);
+    expect(trace.find(entry => entry.type === 'model_error')).toMatchObject({ error: { status: 503 } });
+    expect(trace.find(entry => entry.type === 'tool_result' && entry.name === 'process'))
+      .toMatchObject({ output: JSON.stringify({ processed: 'a' }) });
+    expect(trace.map(entry => entry.seq)).toEqual(trace.map((_, index) => index + 1));
+
+    const replay = await ReplayConfigurationBuilder.fromFile(traceFilePath(directory, 'traced'));
+    const replaying = new TaskEngine({ strategy: createStrategy(), configBuilder: replay });
+    const replayed = await replaying.executeTask({ ...replay.request!, workingDirectory: directory });
+
+    expect(replayed.success).toBe(true);
+    expect(replayed.metadata.turnCount).toBe(recorded.metadata.turnCount);
+    expect(replayed.metadata.toolCallCount).toBe(recorded.metadata.toolCallCount);
+    expect(process.calls).toHaveLength(1);
+  }, 15000);
+});
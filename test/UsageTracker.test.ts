@@ -0,0 +1,71 @@
+/**
+ * Tests for token usage accounting and pricing
+ */
+
+import { UsageTracker } from '../src/core/UsageTracker';
+
+const pricing = {
+  'gemini-2.5-pro': { inputPerMillion: 1.25, outputPerMillion: 10, cachedInputPerMillion: 0.25 },
+  'gemini-2.5': { inputPerMillion: 0.3, outputPerMillion: 2.5 }
+};
+
+describe('UsageTracker', () => {
+  test('sums turns and prices cached, thought and output tokens', () => {
+    const tracker = new UsageTracker(pricing['gemini-2.5-pro']);
+
+    tracker.addTurn(1, {
+      promptTokenCount: 1_000_000,
+      cachedContentTokenCount: 400_000,
+      candidatesTokenCount: 100_000,
+      thoughtsTokenCount: 50_000,
+      totalTokenCount: 1_150_000
+    });
+    tracker.addTurn(2, { promptTokenCount: 200_000, candidatesTokenCount: 10_000, totalTokenCount: 210_000 });
+
+    const summary = tracker.getSummary();
+    expect(summary.total).toEqual({
+      promptTokens: 1_200_000,
+      candidatesTokens: 110_000,
+      cachedTokens: 400_000,
+      thoughtsTokens: 50_000,
+      totalTokens: 1_360_000
+    });
+    // 0.6M uncached input at 1.25, 0.4M cached at 0.25, 0.15M output and thoughts at 10
+    expect(summary.turns[0]).toMatchObject({ turn: 1, cachedTokens: 400_000 });
+    expect(summary.turns[0].cost).toBeCloseTo(0.75 + 0.1 + 1.5);
+    expect(summary.turns[1].cost).toBeCloseTo(0.25 + 0.1);
+    expect(summary.cost).toBeCloseTo(2.7);
+  });
+
+  test('leaves the cost unset without a price', () => {
+    const tracker = new UsageTracker();
+    tracker.addTurn(1, { promptTokenCount: 10, candidatesTokenCount: 5, totalTokenCount: 15 });
+
+    expect(tracker.getSummary().cost).toBeUndefined();
+    expect(tracker.getSummary().turns[0].cost).toBeUndefined();
+    expect(tracker.getSummary().total.totalTokens).toBe(15);
+  });
+
+  test('continues from a previous summary without changing it', () => {
+    const first = new UsageTracker(pricing['gemini-2.5']);
+    first.addTurn(1, { promptTokenCount: 1_000_000, totalTokenCount: 1_000_000 });
+    const previous = first.getSummary();
+
+    const resumed = new UsageTracker(pricing['gemini-2.5'], previous);
+    resumed.addTurn(2, { candidatesTokenCount: 1_000_000, totalTokenCount: 1_000_000 });
+
+    expect(resumed.getSummary().turns.map(turn => turn.turn)).toEqual([1, 2]);
+    expect(resumed.getSummary().total.totalTokens).toBe(2_000_000);
+    expect(resumed.getSummary().cost).toBeCloseTo(2.8);
+    expect(previous.turns).toHaveLength(1);
+    expect(previous.cost).toBeCloseTo(0.3);
+  });
+
+  test('finds prices by exact name, then by the longest prefix', () => {
+    expect(UsageTracker.findPricing(pricing, 'gemini-2.5-pro')).toBe(pricing['gemini-2.5-pro']);
+    expect(UsageTracker.findPricing(pricing, 'gemini-2.5-pro-preview-06-05')).toBe(pricing['gemini-2.5-pro']);
+    expect(UsageTracker.findPricing(pricing, 'gemini-2.5-flash')).toBe(pricing['gemini-2.5']);
+    expect(UsageTracker.findPricing(pricing, 'gemini-1.5-pro')).toBeUndefined();
+    expect(UsageTracker.findPricing(undefined, 'gemini-2.5-pro')).toBeUndefined();
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for workflow step progress
+ */
+
+import { WorkflowProgressTracker } from '../src';
+import type { TaskExecutionState, TaskWorkflowStep, ToolCall } from '../src';
+import { createStrategy } from './helpers';
+
+const steps: TaskWorkflowStep[] = [
+  { name: 'analyze', weight: 20, isRequired: true },
+  { name: 'patch', weight: 80, isRequired: true, dependencies: ['analyze'] },
+  { name: 'export', weight: 100, isRequired: true, dependencies: ['patch'] }
+];
+
+function call(name: string, startTime: number, duration: number, status: ToolCall['status'] = 'completed'): ToolCall {
+  return { callId: `${name}-${startTime}`, name, args: {}, status, startTime, duration };
+}
+
+function state(toolCalls: ToolCall[]): TaskExecutionState {
+  return { toolCalls, turnCount: 1, sessionTurnCount: 1, currentAction: { type: 'thinking', description: '' } };
+}
+
+describe('WorkflowProgressTracker', () => {
+  test('weights are cumulative milestones by default', () => {
+    const tracker = new WorkflowProgressTracker(steps);
+
+    expect(tracker.updateProgress(state([call('analyze', 0, 1000)]))).toEqual({
+      percentage: 20,
+      currentStep: 'patch',
+      estimatedTimeRemaining: 4000,
+      completedSteps: ['analyze'],
+      remainingSteps: ['patch', 'export']
+    });
+    expect(tracker.updateProgress(state([call('analyze', 0, 1000), call('patch', 1000, 1000)])).percentage).toBe(80);
+  });
+
+  test('treats weights as shares of the total when relative', () => {
+    const tracker = new WorkflowProgressTracker(
+      steps.map((step, index) => ({ ...step, weight: [20, 60, 20][index] })),
+      { weights: 'relative' }
+    );
+
+    expect(tracker.updateProgress(state([call('analyze', 0, 1000)]))).toMatchObject({ percentage: 20, estimatedTimeRemaining: 4000 });
+    expect(tracker.updateProgress(state([call('analyze', 0, 1000), call('patch', 1000, 1000)])).percentage).toBe(80);
+  });
+
+  test.each([
+    ['cumulative', [30, 60, 90, 100]],
+    ['relative', [1, 1, 1, 1]]
+  ] as const)('leaves skipped optional steps out of the %s total', (weights, [prepare, lint, build, docs]) => {
+    const tracker = new WorkflowProgressTracker([
+      { name: 'prepare', weight: prepare, isRequired: true },
+      { name: 'lint', weight: lint, isRequired: false },
+      { name: 'build', weight: build, isRequired: true },
+      { name: 'docs', weight: docs, isRequired: false }
+    ], { weights });
+
+    const started = tracker.updateProgress(state([call('prepare', 0, 10)]));
+    expect(started).toMatchObject({ currentStep: 'lint', remainingSteps: ['lint', 'build', 'docs'] });
+    expect(started.percentage).toBe(weights === 'cumulative' ? 30 : 25);
+
+    // Building skips lint, and with every required step done docs will not run either
+    expect(tracker.updateProgress(state([call('prepare', 0, 10), call('build', 10, 10)]))).toMatchObject({
+      percentage: 100,
+      currentStep: undefined,
+      estimatedTimeRemaining: 0,
+      completedSteps: ['prepare', 'build'],
+      remainingSteps: []
+    });
+  });
+
+  test('counts a step only once its dependencies are done', () => {
+    const tracker = new WorkflowProgressTracker(steps);
+
+    const progress = tracker.updateProgress(state([
+      call('patch', 0, 100),
+      call('analyze', 100, 100, 'error'),
+      call('export', 200, 100)
+    ]));
+
+    expect(progress.percentage).toBe(0);
+    expect(progress.completedSteps).toEqual([]);
+    expect(progress.currentStep).toBe('analyze');
+    expect(progress.estimatedTimeRemaining).toBeUndefined();
+  });
+
+  test('reads the steps from the strategy and falls back to step counts without weights', () => {
+    const tracker = new WorkflowProgressTracker();
+    const strategy = createStrategy({
+      getWorkflowSteps: () => [
+        { name: 'first', weight: 0, isRequired: true },
+        { name: 'second', weight: 0, isRequired: true }
+      ]
+    });
+
+    const progress = tracker.updateProgress({ ...state([call('first', 0, 10)]), strategy });
+
+    expect(progress).toMatchObject({ percentage: 50, currentStep: 'second' });
+    expect(tracker.getCurrentProgress()).toBe(progress);
+  });
+
+  test('keeps the last progress when there are no steps, and resets', () => {
+    const tracker = new WorkflowProgressTracker();
+    const strategy = createStrategy({ getWorkflowSteps: () => steps });
+    const progress = tracker.updateProgress({ ...state([call('analyze', 0, 10)]), strategy });
+
+    expect(tracker.updateProgress(state([call('analyze', 0, 10), call('patch', 10, 10)]))).toBe(progress);
+    tracker.reset();
+    expect(tracker.getCurrentProgress()).toEqual({ percentage: 0, completedSteps: [], remainingSteps: [] });
+  });
+
+  test('reports no time remaining once every step is done', () => {
+    const tracker = new WorkflowProgressTracker(steps);
+
+    const progress = tracker.updateProgress(state([call('analyze', 0, 10), call('patch', 10, 10), call('export', 20, 10)]));
+
+    expect(progress).toMatchObject({ percentage: 100, currentStep: undefined, estimatedTimeRemaining: 0, remainingSteps: [] });
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Shared fixtures for tests that run the engine against the scripted harness
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import type { TaskStrategy, ToolCall } from '../src';
+
+/**
+ * True once a complete_task call has completed
+ */
+export function hasCompleted(toolCalls: ToolCall[]): boolean {
+  return toolCalls.some(call => call.name === 'complete_task' && call.status === 'completed');
+}
+
+/**
+ * Strategy that allows every tool and completes once complete_task has run.
+ * Any method, including the optional hooks, can be overridden.
+ */
+export function createStrategy(overrides: Partial<TaskStrategy> = {}): TaskStrategy {
+  return {
+    getName: () => 'TestStrategy',
+    calculateProgress: toolCalls => hasCompleted(toolCalls) ? 100 : 0,
+    isTaskComplete: toolCalls => hasCompleted(toolCalls),
+    getFatalErrorPatterns: () => [],
+    getWorkflowSteps: () => [],
+    processToolResult: () => ({ shouldContinue: true }),
+    isValidToolCall: () => true,
+    ...overrides
+  };
+}
+
+/**
+ * Fresh temporary working directory per test, removed afterwards
+ */
+export function useWorkspace(prefix = 'task-engine-test-'): () => string {
+  let directory: string | undefined;
+
+  beforeEach(() => {
+    directory = mkdtempSync(join(tmpdir(), prefix));
+  });
+
+  afterEach(() => {
+    if (directory) {
+      rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  return () => directory!;
+}